@@ -2,26 +2,103 @@
  * HAR-to-Splunk APM Trace Mapper (Batch Mode)
  *
  * Usage:
- * node api-tracer.js <output_zip_name> <domain_regex> <har_file_1> [har_file_2] ...
+ * node api-tracer.js [options] <output_zip_name> <domain_regex> <har_file_1> [har_file_2] ...
+ * node api-tracer.js [options] <har_file_1> [har_file_2] ...   (when output and domain come from --output/--domain or the config file)
+ * node api-tracer.js [options] serve   (local web UI: upload HARs, trace them server-side, browse results; see server.js)
+ *
+ * Inputs may also be Playwright trace zips, Chrome DevTools performance logs or mitmproxy flow files in place
+ * of HARs; the format is detected from the file content (see input-adapters.js).
+ *
+ * Settings come from a config file with named profiles (see config.js and api-tracer.config.example.yaml),
+ * falling back to the SPLUNK_HOST, SPLUNK_APM_TOKEN, SPLUNK_UI_HOST, IGNORE_SSL and DEBUG_TRACE_DIR env vars.
+ * CLI flags override both.
+ *
+ * Options:
+ * --config=PATH      Config file (default: api-tracer.config.{json,yaml,yml} in the working directory).
+ * --profile=NAME     Config profile to use (default: the file's defaultProfile).
+ * --output=ZIP       Output archive name.
+ * --domain=REGEX     Only HAR requests whose URL matches REGEX are traced.
+ * --splunk-host=H    Splunk API host, e.g. api.eu2.signalfx.com.
+ * --splunk-ui-host=U Splunk UI base used for links in the viewer, e.g. https://app.eu2.signalfx.com/#.
+ * --ignore-ssl       Skip TLS certificate validation.
+ * --backend=TYPE     Trace source: splunk (default), jaeger, tempo or files (see trace-backends.js).
+ * --backend-url=URL  Jaeger query / Tempo base URL, e.g. http://jaeger:16686 or http://tempo:3200.
+ * --trace-files-dir=DIR  Directory of <traceId>.json files (Splunk, Jaeger or OTLP JSON) for --backend=files.
+ * --trace-dir=DIR    Trace cache / debug directory (default ./splunk_traces).
+ * --use-cache        Read traces from the trace dir when present; fetch (and cache) the rest from the backend.
+ * --offline          Replay from the trace dir only. No token or network needed; uncached traces are labelled.
+ * --concurrency=N    Parallel backend queries (default 4).
+ * --rps=N            Max backend requests started per second (default 10).
+ * --max-retries=N    Retries for 429/5xx/network errors, with exponential backoff (default 3).
+ * --max-wait=S       Re-poll traces the backend has not ingested yet for up to S seconds in total per run
+ *                    (default 0 = no polling).
+ * --poll-interval=S  Seconds between re-poll rounds (default 30).
+ * --trace-id=LIST    Comma-separated trace ID extraction strategies, tried in order per request
+ *                    (default "header:x-correlation-id"). Strategies:
+ *                      header:<name>                 header value as-is (request, then response)
+ *                      traceparent                   W3C trace context trace-id
+ *                      b3                            B3 single header, then x-b3-traceid
+ *                      regex:header:<name>:<regex>   first capture group over a response header
+ *                      regex:body:<field>:<regex>    first capture group over a JSON response body field
+ *                                                    (dotted path; empty field = whole body)
+ * --dedupe-by=KEY    Collapse repeated leaf calls per trace by "url" (default) or "template" (see url-templates.js).
+ *                    Repeats are still counted per row and flagged as duplicate / N+1 / sequential findings (see findings.js).
+ * --no-redact        Disable redaction of headers, span tags, query params and emails/JWTs/card numbers
+ *                    in saved traces and reports (on by default; lists configurable, see redaction.js).
+ * --budgets=PATH     Performance budgets file (JSON/YAML, see budgets.js). Violations go into report metadata and a
+ *                    JUnit XML file, and the process exits with code 1 when any budget fails, an input cannot be
+ *                    processed (an errored testcase), or no request matched any budget.
+ * --junit=PATH       JUnit XML output for --budgets (default: <output_zip_name>.junit.xml).
+ * --html[=PATH]     Also write a self-contained HTML viewer with every report and library inlined
+ *                    (default: <output_zip_name>.html). Opens from disk with no upload or CDN access.
+ * --port=N           serve: port to listen on (default 8080).
+ * --host=H           serve: interface to bind (default 127.0.0.1; the server uses the configured credentials).
+ * --allowed-hosts=H1,H2  serve: other Host names/IPs to answer to (e.g. the machine's name with --host=0.0.0.0).
+ * --results-dir=DIR  serve: where generated reports are kept and listed from (default ./results).
+ * --label=TEXT       Build/version label recorded with this run in the run history (e.g. a release or CI build number).
+ * --env=NAME         Environment recorded with this run (default: the config profile name).
+ * --history=PATH     Run history file (default <results-dir>/history.jsonl, see run-history.js). On by default:
+ *                    every CLI run and every serve upload appends per-endpoint percentiles for the viewer's
+ *                    Trends view, so ./results/history.jsonl appears in the working directory after the first run.
+ * --no-history       Do not record this run (historyFile: false in the config file turns history off for good).
+ * --duration-threshold-ms=N / --timing-warn-ms=N / --timing-crit-ms=N
+ *                    Viewer highlighting thresholds, written into report metadata (defaults 300 / 2000 / 5000).
  *
  * Example:
  * node api-tracer.js my-reports.zip "api\\.example\\.com" login.har checkout.har
+ * node api-tracer.js --offline replay.zip "api\\.example\\.com" login.har
  */
 
 import fs from 'fs';
 import path from 'path';
-import fetch from 'node-fetch';
-import https from 'https';
 import AdmZip from 'adm-zip';
+import { loadSettings } from './config.js';
+import { createTraceBackend, createFetchAgent, isValidTraceId, missingBackendSettings, normaliseTraceDocument, sleep } from './trace-backends.js';
+import { createUrlTemplater } from './url-templates.js';
+import { createRedactor } from './redaction.js';
+import { detectFindings } from './findings.js';
+import { computeCriticalPath, computeLatencySplit } from './critical-path.js';
+import { readCacheHeaders, analyseCaching } from './cache-analysis.js';
+import { resolveLinkTemplates } from './deep-links.js';
+import { createRunRecorder, readRunHistory, serialiseHistoryScript, HISTORY_SCRIPT_NAME } from './run-history.js';
+import { writeStandaloneHtml } from './html-export.js';
+import { startServer } from './server.js';
+import { readInputEntries } from './input-adapters.js';
+import { serialiseReportScript } from './report-writer.js';
+import { loadBudgets, evaluateBudgets, summariseBudgetResult, writeJUnitReport } from './budgets.js';
 
 // =================================================================
 // --- CONFIGURATION ---
 // =================================================================
 
-const HAR_CORRELATION_ID_HEADER = 'x-correlation-id';
 const HAR_CACHE_CONTROL_HEADER = 'x-cache-control';
-const SPLUNK_APM_GQL_PATH = '/v2/apm/graphql?op=TraceFullDetailsLessValidation';
-const DEBUG_TRACE_DIR = './splunk_traces';
+const INITIATOR_MAX_FRAMES = 5;
+const ECS_TASK_ARN_TAGS = ['aws.ecs.task.arn', 'ecs.task.arn'];
+
+// Trace cache modes (see --use-cache / --offline)
+const CACHE_MODE_OFF = 'off';
+const CACHE_MODE_PREFER = 'prefer-cache';
+const CACHE_MODE_OFFLINE = 'offline';
 
 // =================================================================
 // --- Main Script Logic ---
@@ -29,36 +106,112 @@ const DEBUG_TRACE_DIR = './splunk_traces';
 
 async function main() {
     try {
-        // --- 1. Validate Arguments ---
-        // Expected: node api-tracer.js <zip_name> <regex> <har1> ...
-        const args = process.argv.slice(2);
+        // --- 1. Resolve Settings & Arguments ---
+        // Expected: node api-tracer.js [flags] <zip_name> <regex> <har1> ...
+        //       or: node api-tracer.js [flags] <har1> ...   (output/domain from flags or config)
+        const { flags, positional: args } = parseCliArgs(process.argv.slice(2));
+        const { settings, configFile, profile } = loadSettings(flags);
+
+        if (configFile) {
+            console.log(`--- Config: ${configFile}${profile ? ` (profile: ${profile})` : ''} ---`);
+        }
 
-        if (args.length < 3) {
+        const serveMode = args[0] === 'serve';
+        // <zip> <regex> <har...> on the command line wins over output/domainRegex from the config or
+        // profile; a domain regex is never an existing file, which tells it apart from a list of HARs.
+        const configHasTargets = Boolean(settings.output && settings.domainRegex);
+        const useLegacyArgs = !configHasTargets || (args.length >= 3 && !fs.existsSync(args[1]));
+        if (!serveMode && ((useLegacyArgs && args.length < 3) || args.length < 1)) {
             console.error('Error: Insufficient arguments.');
-            console.error('Usage: node api-tracer.js <output_zip_name> <domain_regex> <har_file_1> [har_file_2] ...');
+            console.error('Usage: node api-tracer.js [options] <output_zip_name> <domain_regex> <har_file_1> [har_file_2] ...');
+            console.error('   or: node api-tracer.js [options] <har_file_1> ...   (with output and domainRegex set via --output/--domain or the config file)');
+            console.error('   or: node api-tracer.js [options] serve');
             process.exit(1);
         }
 
-        const outputZipName = args[0].endsWith('.zip') ? args[0] : `${args[0]}.zip`;
-        const domainRegexStr = args[1];
-        const harFiles = args.slice(2);
+        const outputZipName = useLegacyArgs ? (args[0].endsWith('.zip') ? args[0] : `${args[0]}.zip`) : settings.output;
+        const domainRegexStr = useLegacyArgs ? args[1] : settings.domainRegex;
+        const harFiles = useLegacyArgs ? args.slice(2) : args;
+        if (useLegacyArgs && configHasTargets) {
+            console.log(`  [Info] Using ${outputZipName} and /${domainRegexStr}/ from the command line instead of the configured output and domainRegex.`);
+        }
+        const cacheMode = settings.cacheMode;
+        const budgets = settings.budgetsFile ? loadBudgets(settings.budgetsFile) : null;
+        if (budgets) {
+            console.log(`--- Budgets: ${budgets.length} from ${settings.budgetsFile} ---`);
+        }
 
-        // --- 2. Check Environment Variables ---
-        const { SPLUNK_HOST, SPLUNK_APM_TOKEN, SPLUNK_UI_HOST } = process.env;
-        if (!SPLUNK_HOST || !SPLUNK_APM_TOKEN || !SPLUNK_UI_HOST) {
-            console.error('Error: Missing environment variables (SPLUNK_HOST, SPLUNK_APM_TOKEN, SPLUNK_UI_HOST).');
+        // --- 2. Check Backend Settings ---
+        // Offline replay never talks to the backend, so credentials are not required.
+        const backend = createTraceBackend(settings);
+        const missing = cacheMode === CACHE_MODE_OFFLINE ? [] : missingBackendSettings(settings);
+        if (missing.length > 0) {
+            console.error(`Error: Missing ${backend.label} settings (${missing.join(', ')}). Set them in the config file or via flags` +
+                (backend.type === 'splunk' ? ' / SPLUNK_HOST, SPLUNK_APM_TOKEN, SPLUNK_UI_HOST.' : '.'));
             process.exit(1);
         }
+        console.log(`--- Trace backend: ${backend.type} ---`);
+        if (cacheMode !== CACHE_MODE_OFF) {
+            console.log(`--- Trace cache: ${cacheMode} (${settings.traceDir}) ---`);
+        }
+
+        const traceOptions = {
+            backend,
+            traceDir: settings.traceDir,
+            cacheMode,
+            concurrency: settings.concurrency,
+            maxRetries: settings.maxRetries,
+            rateLimiter: createRateLimiter(settings.requestsPerSecond),
+            maxWaitMs: settings.maxWaitSec * 1000,
+            pollIntervalMs: settings.pollIntervalSec * 1000,
+            // One --max-wait budget for the whole run, started by the first HAR that needs polling
+            pollWindow: { deadline: null },
+            traceIdStrategies: parseTraceIdStrategies(settings.traceIdStrategies),
+            templateUrl: createUrlTemplater(settings.urlTemplates),
+            dedupeBy: settings.dedupeBy,
+            findings: settings.findings,
+            budgets,
+            budgetsFile: settings.budgetsFile,
+            history: settings.historyFile === false ? null : {
+                file: settings.historyFile || path.join(settings.resultsDir, 'history.jsonl'),
+                label: settings.runLabel,
+                environment: settings.environment || profile
+            },
+            // Written into report metadata so the viewer doesn't hard-code them
+            viewerConfig: { uiHost: settings.splunkUiHost, thresholds: settings.thresholds, links: resolveLinkTemplates(settings) },
+            // Applied before anything is written to the trace dir or the zip
+            redactor: createRedactor(settings.redaction),
+            // Keep-alive agents shared by every query, sized to the worker pool
+            fetchAgent: createFetchAgent(settings)
+        };
 
         // --- 3. Create Debug Directory (Optional) ---
         try {
-            if (!fs.existsSync(DEBUG_TRACE_DIR)) {
-                fs.mkdirSync(DEBUG_TRACE_DIR);
+            if (!fs.existsSync(settings.traceDir)) {
+                fs.mkdirSync(settings.traceDir, { recursive: true });
             }
         } catch (err) {}
 
+        if (serveMode) {
+            await startServer({
+                host: settings.host,
+                port: settings.port,
+                resultsDir: settings.resultsDir,
+                domainRegex: settings.domainRegex,
+                backend: backend.type,
+                historyFile: traceOptions.history?.file || null,
+                allowedHosts: settings.allowedHosts,
+                runTrace: (harFilePath, reportName, domainRegex, onProgress) =>
+                    traceHarForServer(harFilePath, reportName, domainRegex, { ...traceOptions, pollWindow: { deadline: null }, onProgress })
+            });
+            return;
+        }
+
         // Initialize ZIP object
         const zip = new AdmZip();
+        const budgetSuites = [];
+        const htmlReports = [];
+        const runRecorder = traceOptions.history ? createRunRecorder(traceOptions.history) : null;
         console.log(`--- Processing ${harFiles.length} HAR file(s) ---`);
 
         // --- 4. Process Each HAR File ---
@@ -67,36 +220,80 @@ async function main() {
 
             if (!fs.existsSync(harFilePath)) {
                 console.error(`  [Skipped] File not found: ${harFilePath}`);
+                if (budgets) budgetSuites.push({ name: path.basename(harFilePath), error: 'File not found' });
                 continue;
             }
 
             try {
                 // Generate the data structure for this HAR
-                const reportData = await processSingleHar(harFilePath, domainRegexStr, SPLUNK_HOST, SPLUNK_APM_TOKEN);
+                const reportData = await processSingleHar(harFilePath, domainRegexStr, traceOptions);
 
                 if (reportData) {
-                    // Create a JS file content string
-                    // We save it as a JS file that calls registerReportData
-                    // This allows the viewer to load it easily if extracted, or parsed if in zip.
-                    const jsonData = JSON.stringify(reportData, null, 2);
-                    const fileContent = `window.registerReportData("${path.basename(harFilePath)}", ${jsonData});`;
+                    const { fileContent, budgetResult, report } = finaliseReport(reportData, path.basename(harFilePath), traceOptions);
+                    runRecorder?.addReport(report);
+                    if (budgetResult) budgetSuites.push({ name: path.basename(harFilePath), result: budgetResult });
 
                     const outputFileName = `${path.basename(harFilePath)}.report-data.js`;
-                    zip.addFile(outputFileName, Buffer.from(fileContent, 'utf8'));
+                    zip.addFile(outputFileName, fileContent);
+                    htmlReports.push({ name: path.basename(harFilePath), fileContent });
                     console.log(`  [Success] Added ${outputFileName} to archive.`);
                 }
             } catch (err) {
                 console.error(`  [Error] Failed to process ${harFilePath}:`, err.message);
+                // An input the budgets never saw must not let the gate pass
+                if (budgets) budgetSuites.push({ name: path.basename(harFilePath), error: err.message });
             }
         }
 
-        // --- 5. Write ZIP File ---
+        // --- 5. Record Run History (embedded in the zip for the Trends view) ---
+        if (runRecorder && runRecorder.save()) {
+            const runs = readRunHistory(traceOptions.history.file);
+            const historyScript = serialiseHistoryScript(runs);
+            zip.addFile(HISTORY_SCRIPT_NAME, historyScript);
+            // Inlined like a report script by the standalone export
+            htmlReports.push({ name: HISTORY_SCRIPT_NAME, fileContent: historyScript });
+            console.log(`\n--- Run history: ${traceOptions.history.file} (${runs.length} run(s); --no-history to skip) ---`);
+        }
+
+        // --- 6. Write ZIP File ---
         console.log(`\n--- Writing Archive: ${outputZipName} ---`);
         zip.writeZip(outputZipName);
+        traceOptions.fetchAgent.destroy();
+
+        if (settings.htmlFile) {
+            const htmlFile = settings.htmlFile === true ? outputZipName.replace(/\.zip$/, '.html') : settings.htmlFile;
+            const cdnLibraries = writeStandaloneHtml(htmlFile, htmlReports);
+            console.log(`--- Standalone viewer: ${htmlFile} ---`);
+            cdnLibraries.forEach(url => console.warn(`  [Warning] Not installed locally, still loaded from CDN: ${url}`));
+        }
+
+        // --- 7. Budgets: JUnit Report & Exit Code ---
+        if (budgets) {
+            const junitFile = settings.junitFile || outputZipName.replace(/\.zip$/, '.junit.xml');
+            writeJUnitReport(junitFile, budgetSuites, traceOptions.redactor);
+            const results = budgetSuites.filter(s => !s.error).map(s => s.result);
+            const failed = results.reduce((n, r) => n + r.failed, 0);
+            const checked = results.reduce((n, r) => n + r.checked, 0);
+            const errored = budgetSuites.length - results.length;
+            console.log(`--- JUnit report: ${junitFile} ---`);
+            if (failed > 0) {
+                console.error(`Budgets failed: ${failed} check(s). See ${junitFile}.`);
+                process.exitCode = 1;
+            }
+            if (errored > 0) {
+                console.error(`Budgets errored: ${errored} input(s) could not be processed. See ${junitFile}.`);
+                process.exitCode = 1;
+            }
+            if (checked === 0) {
+                console.error('Budgets failed: no request matched any budget.');
+                process.exitCode = 1;
+            }
+        }
         console.log('Done!');
 
     } catch (err) {
         console.error('An unexpected fatal error occurred:', err.message);
+        process.exitCode = 1;
     }
 }
 
@@ -104,15 +301,60 @@ async function main() {
 // --- Processing Logic ---
 // =================================================================
 
-async function processSingleHar(harFilePath, regexStr, splunkHost, apmToken) {
+/**
+ * Applies budgets and redaction to a processed report and renders the script stored in the zip /
+ * results dir. Returns { fileContent (Buffer), budgetResult, report } (budgetResult is null without budgets;
+ * report is the redacted report, for the run history).
+ */
+function finaliseReport(reportData, reportName, traceOptions) {
+    // Budgets look at the unredacted data (URLs with masked params would not match)
+    let budgetResult = null;
+    if (traceOptions.budgets) {
+        budgetResult = evaluateBudgets(reportData, traceOptions.budgets);
+        reportData.metadata.budgets = summariseBudgetResult(budgetResult, traceOptions.budgetsFile);
+        console.log(`  [Budgets] ${budgetResult.checked - budgetResult.failed}/${budgetResult.checked} checks passed.`);
+    }
+
+    // Redact before anything leaves memory; the metadata records what was masked
+    const { value: redactedReport, count } = traceOptions.redactor.redact(reportData);
+    redactedReport.metadata.redaction = traceOptions.redactor.describe(count);
+
+    // We save it as a JS file that calls registerReportData
+    // This allows the viewer to load it easily if extracted, or parsed if in zip.
+    const fileContent = serialiseReportScript(reportName, redactedReport);
+    return { fileContent, budgetResult, report: redactedReport };
+}
+
+/**
+ * serve: one uploaded HAR through the same pipeline as the CLI. Returns the report script, or null
+ * when no request matched the domain regex.
+ */
+async function traceHarForServer(harFilePath, reportName, domainRegex, traceOptions) {
+    console.log(`\nProcessing (serve): ${reportName}`);
+    const reportData = await processSingleHar(harFilePath, domainRegex, traceOptions);
+    if (!reportData) return null;
+    const { fileContent, report } = finaliseReport(reportData, reportName, traceOptions);
+    // Each upload is its own run in the history
+    if (traceOptions.history) {
+        const recorder = createRunRecorder(traceOptions.history);
+        recorder.addReport(report);
+        recorder.save();
+    }
+    return fileContent;
+}
+
+async function processSingleHar(harFilePath, regexStr, traceOptions) {
     // 1. Parse HAR
-    const allRequests = parseHarFile(harFilePath, regexStr);
+    const allRequests = await parseHarFile(harFilePath, regexStr, traceOptions.traceIdStrategies);
 
     if (allRequests.length === 0) {
         console.warn(`  [Info] No matching requests found in ${harFilePath}`);
         return null;
     }
 
+    traceOptions.onProgress?.({ phase: 'parsed', requests: allRequests.length });
+    analyseCaching(allRequests);
+
     // 2. Group by ID to query efficiently
     const idToUrlsMap = new Map();
     for (const req of allRequests) {
@@ -120,29 +362,60 @@ async function processSingleHar(harFilePath, regexStr, splunkHost, apmToken) {
         idToUrlsMap.get(req.id).push(req);
     }
 
-    // 3. Query Splunk
+    // 3. Query Trace Backend
     const traceDataCache = new Map();
     const ids = Array.from(idToUrlsMap.keys());
-
-    for (const correlationId of ids) {
-        process.stdout.write('.');
-        const tracedUrls = await querySplunkApm(correlationId, splunkHost, apmToken);
-        traceDataCache.set(correlationId, tracedUrls);
-    }
+    const cacheStats = { hits: 0, misses: 0 };
+    let tracesDone = 0;
+
+    await runWithConcurrency(ids, traceOptions.concurrency, async (correlationId) => {
+        const cachedResponse = traceOptions.cacheMode !== CACHE_MODE_OFF ? readCachedTrace(correlationId, traceOptions.traceDir) : null;
+        let traceData;
+
+        if (cachedResponse) {
+            process.stdout.write('c');
+            cacheStats.hits++;
+            traceData = parseApmResponse(cachedResponse, traceOptions);
+        } else if (traceOptions.cacheMode === CACHE_MODE_OFFLINE) {
+            process.stdout.write('x');
+            cacheStats.misses++;
+            traceData = placeholderTrace('- Not in offline trace cache -');
+        } else {
+            if (traceOptions.cacheMode !== CACHE_MODE_OFF) cacheStats.misses++;
+            traceData = await queryTraceBackend(correlationId, traceOptions);
+            process.stdout.write('.');
+        }
+        traceDataCache.set(correlationId, traceData);
+        traceOptions.onProgress?.({ phase: 'traces', done: ++tracesDone, total: ids.length });
+    });
     process.stdout.write('\n');
 
+    // 3b. Re-poll traces the backend has not ingested yet (fresh HARs)
+    const polling = await pollMissingTraces(traceDataCache, traceOptions);
+
     // 4. Build Results
     const results = [];
     for (const req of allRequests) {
-        const tracedUrls = traceDataCache.get(req.id) || [{ method: 'N/A', url: '- No trace data found -', duration: 0 }];
+        const traceData = traceDataCache.get(req.id);
+        const tracedUrls = traceData ? traceData.tracedUrls : [{ method: 'N/A', url: '- No trace data found -', duration: 0 }];
         results.push({
             sourceUrl: req.sourceUrl,
+            urlTemplate: traceOptions.templateUrl(req.sourceUrl),
             method: req.method,
+            status: req.status,
             correlationId: req.id,
+            traceIdStrategy: req.traceIdStrategy,
             cacheControl: req.cacheControl,
+            cache: req.cache,
             startedDateTime: req.startedDateTime,
             harResponseTime: req.harResponseTime,
-            tracedUrls: tracedUrls.length > 0 ? tracedUrls : [{ method: 'N/A', url: '- No leaf node traces found -', duration: 0 }]
+            harTimings: req.harTimings,
+            har: req.har,
+            tracedUrls: tracedUrls.length > 0 ? tracedUrls : [{ method: 'N/A', url: '- No leaf node traces found -', duration: 0 }],
+            graphData: traceData ? traceData.graphData : [],
+            traceWindow: traceData?.window || null,
+            latency: computeLatencySplit(req.harResponseTime, traceData ? traceData.graphData : []),
+            findings: traceData?.findings || []
         });
     }
 
@@ -162,57 +435,281 @@ async function processSingleHar(harFilePath, regexStr, splunkHost, apmToken) {
             filename: path.basename(harFilePath),
             generatedAt: new Date().toISOString(),
             filterDomain: regexStr,
+            backend: traceOptions.backend.type,
+            traceIdStrategies: traceOptions.traceIdStrategies.map(s => s.label),
+            uiHost: traceOptions.viewerConfig.uiHost,
+            thresholds: traceOptions.viewerConfig.thresholds,
+            links: traceOptions.viewerConfig.links,
             traceStartTime: startTime,
             traceEndTime: endTime,
-            totalRequests: results.length
+            totalRequests: results.length,
+            requestsWithFindings: results.filter(r => r.findings.length > 0).length,
+            requestsWithErrors: results.filter(r => r.status >= 400 || r.tracedUrls.some(t => t.error || t.status >= 400)).length,
+            cacheClasses: results.reduce((counts, r) => ({ ...counts, [r.cache.class]: (counts[r.cache.class] || 0) + 1 }), {}),
+            traceCache: { mode: traceOptions.cacheMode, ...cacheStats },
+            tracePolling: { maxWaitSec: polling.maxWaitSec, waitedSec: polling.waitedSec, rounds: polling.rounds, recovered: polling.recovered },
+            missingTraces: polling.missing
         },
         data: results
     };
 }
 
+/**
+ * Re-queries every trace whose last response had no spans (i.e. not ingested by the backend yet)
+ * every pollIntervalMs, until all are found or the run's maxWaitMs window (traceOptions.pollWindow,
+ * shared by all HARs of a run) has elapsed; the last round is shortened to end on the deadline.
+ * Updates traceDataCache in place. Returns { maxWaitSec, waitedSec, rounds, recovered, missing }
+ * for the report metadata.
+ */
+async function pollMissingTraces(traceDataCache, traceOptions) {
+    const findMissing = () => [...traceDataCache.entries()].filter(([, t]) => t.notIngested).map(([id]) => id);
+    const summary = { maxWaitSec: traceOptions.maxWaitMs / 1000, waitedSec: 0, rounds: 0, recovered: 0, missing: findMissing() };
+
+    if (traceOptions.cacheMode === CACHE_MODE_OFFLINE || traceOptions.maxWaitMs === 0 || summary.missing.length === 0) return summary;
+
+    const pollWindow = traceOptions.pollWindow;
+    if (pollWindow.deadline === null) pollWindow.deadline = Date.now() + traceOptions.maxWaitMs;
+    const startedAt = Date.now();
+    const initialMissing = summary.missing.length;
+
+    while (summary.missing.length > 0 && Date.now() < pollWindow.deadline) {
+        const delayMs = Math.min(traceOptions.pollIntervalMs, pollWindow.deadline - Date.now());
+        const delaySec = roundSeconds(delayMs);
+        console.log(`  [Polling] ${summary.missing.length} trace(s) not ingested yet, retrying in ${delaySec}s...`);
+        traceOptions.onProgress?.({ phase: 'polling', missing: summary.missing.length, retryInSec: delaySec });
+        await sleep(delayMs);
+        summary.rounds++;
+
+        await runWithConcurrency(summary.missing, traceOptions.concurrency, async (correlationId) => {
+            traceDataCache.set(correlationId, await queryTraceBackend(correlationId, traceOptions));
+        });
+        summary.missing = findMissing();
+    }
+
+    summary.waitedSec = roundSeconds(Date.now() - startedAt);
+    summary.recovered = initialMissing - summary.missing.length;
+    for (const correlationId of summary.missing) {
+        traceDataCache.set(correlationId, placeholderTrace(`- Trace not ingested (waited ${summary.waitedSec}s) -`, { notIngested: true }));
+    }
+    if (summary.missing.length > 0) {
+        console.warn(`  [Polling] ${summary.missing.length} trace(s) still not ingested after waiting ${summary.waitedSec}s (--max-wait ${summary.maxWaitSec}s for the run).`);
+    }
+    return summary;
+}
+
+function roundSeconds(ms) {
+    return Math.round(ms / 100) / 10;
+}
+
 // --- Helper Functions ---
 
-function parseHarFile(filePath, regexStr) {
+/**
+ * Reads a HAR, or a Playwright trace / Chrome performance log / mitmproxy flow file normalised to HAR
+ * entries (see input-adapters.js). HARs are streamed so multi-hundred-MB captures never sit in memory whole.
+ * Response bodies are only kept when a regex:body trace ID strategy needs them.
+ */
+async function parseHarFile(filePath, regexStr, traceIdStrategies) {
     const allRequests = [];
     const domainRegex = new RegExp(regexStr);
-    let harData, har;
+    const entries = readInputEntries(filePath, {
+        keepResponseBodies: traceIdStrategies.some(s => s.type === 'regex' && s.source === 'body'),
+        filter: entry => domainRegex.test(entry.request?.url || ''),
+        onFormat: format => {
+            if (format !== 'har') console.log(`  [Info] Reading ${path.basename(filePath)} as ${format} input.`);
+        }
+    });
 
-    try {
-        harData = fs.readFileSync(filePath, 'utf8');
-        har = JSON.parse(harData);
-    } catch (err) {
-        throw new Error(`Failed to read/parse HAR file: ${err.message}`);
+    for await (const entry of entries) {
+        const sourceUrl = entry.request.url;
+        const match = extractTraceId(entry, traceIdStrategies);
+
+        if (match) {
+            const correlationId = match.traceId;
+            const cacheControl = findHeaderValue(entry.response.headers, HAR_CACHE_CONTROL_HEADER) ||
+                                 findHeaderValue(entry.response.headers, 'cache-control') || 'N/A';
+            const timings = entry.timings;
+            // Some HARs have -1 for unavailable timings, ensure we don't sum negatives
+            const wait = Math.max(0, timings.wait || 0);
+            const receive = Math.max(0, timings.receive || 0);
+            const harResponseTime = wait + receive;
+
+            allRequests.push({
+                id: correlationId,
+                traceIdStrategy: match.strategy,
+                cacheControl,
+                cacheHeaders: readCacheHeaders(entry),
+                startedDateTime: entry.startedDateTime,
+                sourceUrl,
+                method: entry.request.method,
+                // 0 means the browser got no response (blocked, aborted, CORS)
+                status: entry.response.status || 0,
+                harResponseTime: Math.round(harResponseTime),
+                harTimings: { ...readOptionalTimings(timings), wait: Math.round(wait), receive: Math.round(receive) },
+                har: readHarDetails(entry)
+            });
+        }
     }
+    return allRequests;
+}
 
-    if (!har.log || !har.log.entries) throw new Error('Invalid HAR file format.');
+/**
+ * HAR phases before the request reached the server; null where the HAR has -1 (not applicable, e.g. a reused connection).
+ */
+function readOptionalTimings(timings) {
+    const phase = (value) => (typeof value === 'number' && value >= 0 ? Math.round(value) : null);
+    return { blocked: phase(timings.blocked), dns: phase(timings.dns), connect: phase(timings.connect), ssl: phase(timings.ssl), send: phase(timings.send) };
+}
 
-    for (const entry of har.log.entries) {
-        const sourceUrl = entry.request.url;
-        if (domainRegex.test(sourceUrl)) {
-            let correlationId = findHeaderValue(entry.request.headers, HAR_CORRELATION_ID_HEADER);
-            if (!correlationId && entry.response) correlationId = findHeaderValue(entry.response.headers, HAR_CORRELATION_ID_HEADER);
-
-            if (correlationId) {
-                const cacheControl = findHeaderValue(entry.response.headers, HAR_CACHE_CONTROL_HEADER) ||
-                                     findHeaderValue(entry.response.headers, 'cache-control') || 'N/A';
-                const timings = entry.timings;
-                // Some HARs have -1 for unavailable timings, ensure we don't sum negatives
-                const wait = Math.max(0, timings.wait || 0);
-                const receive = Math.max(0, timings.receive || 0);
-                const harResponseTime = wait + receive;
-
-                allRequests.push({
-                    id: correlationId,
-                    cacheControl,
-                    startedDateTime: entry.startedDateTime,
-                    sourceUrl,
-                    method: entry.request.method,
-                    harResponseTime: Math.round(harResponseTime)
-                });
+/**
+ * Request/response details shown in the viewer's detail drawer. Headers keep HAR's { name, value }
+ * shape so redaction masks them like everything else.
+ */
+function readHarDetails(entry) {
+    const size = (value) => (typeof value === 'number' && value >= 0 ? value : null);
+    const { request, response } = entry;
+    return {
+        httpVersion: response.httpVersion || request.httpVersion || null,
+        statusText: response.statusText || '',
+        serverIPAddress: entry.serverIPAddress || null,
+        resourceType: entry._resourceType || null,
+        mimeType: response.content?.mimeType || null,
+        requestHeaders: (request.headers || []).map(({ name, value }) => ({ name, value })),
+        responseHeaders: (response.headers || []).map(({ name, value }) => ({ name, value })),
+        sizes: {
+            requestHeaders: size(request.headersSize),
+            requestBody: size(request.bodySize),
+            responseHeaders: size(response.headersSize),
+            responseBody: size(response.bodySize),
+            content: size(response.content?.size),
+            transfer: size(response._transferSize)
+        },
+        initiator: readInitiator(entry._initiator)
+    };
+}
+
+/**
+ * Chromium's _initiator: { type, url?, lineNumber?, stack?: { callFrames, parent } }. Keeps the top call frames.
+ */
+function readInitiator(initiator) {
+    if (!initiator || !initiator.type) return null;
+    const frames = [];
+    for (let stack = initiator.stack; stack && frames.length < INITIATOR_MAX_FRAMES; stack = stack.parent) {
+        (stack.callFrames || []).forEach(f => frames.push(`${f.functionName || '(anonymous)'} ${f.url}:${f.lineNumber + 1}:${f.columnNumber + 1}`));
+    }
+    return {
+        type: initiator.type,
+        url: initiator.url || null,
+        lineNumber: typeof initiator.lineNumber === 'number' ? initiator.lineNumber + 1 : null,
+        stack: frames.slice(0, INITIATOR_MAX_FRAMES)
+    };
+}
+
+// --- Trace ID Extraction ---
+
+/**
+ * Parses strategy labels (see --trace-id) into strategy objects.
+ * Throws on unknown strategy types so typos don't silently produce empty reports.
+ */
+function parseTraceIdStrategies(labels) {
+    return labels.map(label => {
+        const [type, ...rest] = label.split(':');
+        switch (type) {
+            case 'header':
+                if (!rest[0]) throw new Error(`Trace ID strategy "${label}" needs a header name.`);
+                return { type, label, name: rest.join(':') };
+            case 'traceparent':
+            case 'b3':
+                return { type, label };
+            case 'regex': {
+                const [source, target, ...pattern] = rest;
+                if (!['header', 'body'].includes(source) || pattern.length === 0) {
+                    throw new Error(`Trace ID strategy "${label}" must be regex:header:<name>:<regex> or regex:body:<field>:<regex>.`);
+                }
+                return { type, label, source, target, pattern: new RegExp(pattern.join(':')) };
             }
+            default:
+                throw new Error(`Unknown trace ID strategy "${label}".`);
+        }
+    });
+}
+
+/**
+ * Tries each strategy in order against a HAR entry.
+ * Returns { traceId, strategy } for the first that yields an ID, or null.
+ */
+function extractTraceId(entry, strategies) {
+    for (const strategy of strategies) {
+        const traceId = applyTraceIdStrategy(entry, strategy);
+        if (!traceId) continue;
+        // The ID names files in the trace dir; anything else (e.g. "../x") is not a usable trace ID
+        if (isValidTraceId(traceId)) return { traceId, strategy: strategy.label };
+        console.warn(`\n  [Warning] Ignoring invalid trace ID from ${strategy.label}: ${JSON.stringify(String(traceId).slice(0, 80))}`);
+    }
+    return null;
+}
+
+function applyTraceIdStrategy(entry, strategy) {
+    const findInEither = (name) => findHeaderValue(entry.request.headers, name) || findHeaderValue(entry.response?.headers, name);
+
+    switch (strategy.type) {
+        case 'header':
+            return findInEither(strategy.name);
+        case 'traceparent': {
+            // version-traceid-parentid-flags, e.g. 00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01
+            const m = /^[0-9a-f]{2}-([0-9a-f]{32})-[0-9a-f]{16}-[0-9a-f]{2}/i.exec(findInEither('traceparent') || '');
+            return m && !/^0+$/.test(m[1]) ? m[1].toLowerCase() : null;
+        }
+        case 'b3': {
+            // Single header: traceid-spanid[-sampled[-parentspanid]]; multi header: X-B3-TraceId
+            const single = /^([0-9a-f]{16}|[0-9a-f]{32})-/i.exec(findInEither('b3') || '');
+            if (single) return single[1].toLowerCase();
+            const multi = findInEither('x-b3-traceid');
+            return multi && /^([0-9a-f]{16}|[0-9a-f]{32})$/i.test(multi) ? multi.toLowerCase() : null;
+        }
+        case 'regex': {
+            const text = strategy.source === 'header'
+                ? findHeaderValue(entry.response?.headers, strategy.target)
+                : readResponseBodyField(entry, strategy.target);
+            if (text === null || text === undefined) return null;
+            const m = strategy.pattern.exec(String(text));
+            return m ? (m[1] || m[0]) : null;
         }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Reads a dotted field path (e.g. "meta.traceId") from a JSON response body recorded in the HAR.
+ * An empty path returns the raw body text.
+ */
+function readResponseBodyField(entry, fieldPath) {
+    const content = entry.response?.content;
+    if (!content || !content.text) return null;
+    const text = content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+    if (!fieldPath) return text;
+    try {
+        return fieldPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), JSON.parse(text));
+    } catch (err) {
+        return null;
     }
-    return allRequests;
+}
+
+/**
+ * Splits argv into "--flag" / "--flag=value" options and positional arguments.
+ */
+function parseCliArgs(argv) {
+    const flags = {};
+    const positional = [];
+    for (const arg of argv) {
+        if (arg.startsWith('--')) {
+            const [name, ...rest] = arg.slice(2).split('=');
+            flags[name] = rest.length > 0 ? rest.join('=') : true;
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { flags, positional };
 }
 
 function findHeaderValue(headers, headerName) {
@@ -221,72 +718,214 @@ function findHeaderValue(headers, headerName) {
     return h ? h.value : null;
 }
 
-async function querySplunkApm(traceId, splunkHost, apmToken) {
-    const endpoint = `https://${splunkHost}${SPLUNK_APM_GQL_PATH}`;
-    const ignoreSSLErrors = process.env.IGNORE_SSL === 'true';
-    let fetchAgent = ignoreSSLErrors ? new https.Agent({ rejectUnauthorized: false }) : undefined;
-
-    const targetedQuery = {
-        operationName: "TraceFullDetailsLessValidation",
-        variables: { spanLimit: 1000, id: traceId },
-        query: "query TraceFullDetailsLessValidation($id: ID!, $spanLimit: Float = 5000) {\n  trace: traceLessValidation(id: $id, spanLimit: $spanLimit) {\n    traceID\n    spans\n  }\n}\n"
-    };
-
+/**
+ * Returns the raw backend response previously saved by queryTraceBackend(), or null if not cached.
+ * Saved error/empty responses (e.g. a 401, or a trace not yet ingested) count as a miss.
+ */
+function readCachedTrace(traceId, traceDir) {
+    const cacheFilePath = path.join(traceDir, `${traceId}.json`);
+    if (!fs.existsSync(cacheFilePath)) return null;
     try {
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'x-sf-token': apmToken },
-            body: JSON.stringify(targetedQuery),
-            agent: fetchAgent
-        });
+        const jsonResponse = JSON.parse(fs.readFileSync(cacheFilePath, 'utf8'));
+        return normaliseTraceDocument(jsonResponse) ? jsonResponse : null;
+    } catch (err) {
+        console.warn(`\n  [Warning] Ignoring unreadable cache file ${cacheFilePath}: ${err.message}`);
+        return null;
+    }
+}
 
-        const jsonResponse = await response.json();
+/**
+ * Fetches one trace from the configured backend (retries live in trace-backends.js),
+ * saves the raw response to the trace dir and parses it.
+ */
+async function queryTraceBackend(traceId, traceOptions) {
+    const { backend } = traceOptions;
+    let result;
+    try {
+        result = await backend.fetchTrace(traceId, traceOptions);
+    } catch (err) {
+        return placeholderTrace(`- Error fetching data -`);
+    }
 
+    if (result.json && backend.cacheable) {
         try {
-            const debugFilePath = path.join(DEBUG_TRACE_DIR, `${traceId}.json`);
-            fs.writeFileSync(debugFilePath, JSON.stringify(jsonResponse, null, 2));
+            const debugFilePath = path.join(traceOptions.traceDir, `${traceId}.json`);
+            fs.writeFileSync(debugFilePath, JSON.stringify(traceOptions.redactor.redact(result.json).value, null, 2));
         } catch(e){}
-
-        if (!response.ok) return [{ method: 'N/A', url: `- Splunk API Error ${response.status} -`, duration: 0 }];
-        return parseApmResponse(jsonResponse);
-    } catch (err) {
-        return [{ method: 'N/A', url: `- Error fetching data -`, duration: 0 }];
     }
+
+    if (result.notFound) return placeholderTrace('- No spans found -', { notIngested: true });
+    if (!result.ok) return placeholderTrace(`- ${backend.label} API Error ${result.status} -`);
+    if (!result.json) return placeholderTrace(`- Error fetching data -`);
+    return parseApmResponse(result.json, traceOptions);
 }
 
-function parseApmResponse(jsonResponse) {
-    if (!jsonResponse.data?.trace?.spans) return [{ method: 'N/A', url: '- No spans found -', duration: 0 }];
+/**
+ * Returns an async function that resolves when the caller may start its next request,
+ * spacing request starts at least 1000/rps ms apart across all callers.
+ */
+function createRateLimiter(requestsPerSecond) {
+    const interval = 1000 / requestsPerSecond;
+    let nextSlot = 0;
+    return async function acquire() {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + interval;
+        if (slot > now) await sleep(slot - now);
+    };
+}
 
-    let spans = jsonResponse.data.trace.spans;
-    if (typeof spans === 'string') {
-        try { spans = JSON.parse(spans); } catch (e) { return [{ method: 'N/A', url: '- Error parsing spans JSON -', duration: 0 }]; }
-    }
-    if (!Array.isArray(spans)) return [{ method: 'N/A', url: '- No spans found -', duration: 0 }];
+/**
+ * Runs worker(item) over items with at most `limit` in flight at once.
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const item = items[nextIndex++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * Wraps a single "- message -" row in the shape returned by parseApmResponse,
+ * so callers can treat failures and real traces the same way.
+ * `extra` carries status flags such as { notIngested: true }.
+ */
+function placeholderTrace(message, extra = {}) {
+    return { tracedUrls: [{ method: 'N/A', url: message, duration: 0 }], graphData: [], ...extra };
+}
+
+/**
+ * Parses a raw trace document from any backend (see normaliseTraceDocument in trace-backends.js).
+ * parseOptions: { templateUrl, dedupeBy } (see traceOptions in main()).
+ * Returns { tracedUrls, graphData }:
+ * - tracedUrls: earliest leaf span per unique url.full (or per URL template with dedupeBy: 'template'),
+ *   sorted by start time, each with its urlTemplate
+ * - graphData: every span as { spanId, parentId, service, taskArn, operation, url, startOffset, duration },
+ *   used by the network graph and the per-request waterfall
+ * - notIngested: set when the response holds no spans, so the trace can be re-polled
+ */
+function parseApmResponse(jsonResponse, parseOptions = {}) {
+    const templateUrl = parseOptions.templateUrl || (url => url);
+
+    let spans;
+    try { spans = normaliseTraceDocument(jsonResponse); } catch (e) { return placeholderTrace('- Error parsing spans JSON -'); }
+
+    // No trace/spans at all means the backend has not ingested it (yet), as opposed to
+    // a trace whose services simply have no instrumented leaf calls.
+    if (!spans || spans.length === 0) return placeholderTrace('- No spans found -', { notIngested: true });
 
     const parentSpanIds = new Set();
     spans.forEach(s => s.references?.forEach(r => { if (r.refType === 'CHILD_OF') parentSpanIds.add(r.spanID); }));
 
-    const seenUrls = new Map();
+    // Offsets are relative to the earliest span (the trace root), in microseconds like startTime/duration
+    const traceStart = Math.min(...spans.map(s => s.startTime || 0));
+    const graphData = spans.map(s => buildGraphSpan(s, traceStart));
+
+    // Mark the spans that determined end-to-end latency (µs of critical self time per span)
+    const criticalPath = computeCriticalPath(graphData);
+    graphData.forEach(g => {
+        if (criticalPath.has(g.spanId)) {
+            g.critical = true;
+            g.criticalTime = criticalPath.get(g.spanId);
+        }
+    });
+
+    const leafCalls = [];
     spans.forEach(s => {
         if (!parentSpanIds.has(s.spanID) && s.tags) {
             const urlTag = s.tags.find(t => t.key === 'url.full' && t.value);
             if (urlTag) {
                 const url = urlTag.value.trim();
                 const methodTag = s.tags.find(t => t.key === 'http.request.method');
-                const method = (methodTag ? methodTag.value : 'N/A').toUpperCase();
-                const duration = s.duration || 0;
-                const startTime = s.startTime || 0;
-
-                if (!seenUrls.has(url) || seenUrls.get(url).startTime > startTime) {
-                    seenUrls.set(url, { method, url, duration, startTime });
-                }
+                const parentRef = s.references?.find(r => r.refType === 'CHILD_OF');
+                const { status, error } = readSpanStatus(s.tags);
+                leafCalls.push({
+                    method: (methodTag ? methodTag.value : 'N/A').toUpperCase(),
+                    url,
+                    spanId: s.spanID,
+                    service: s.process?.serviceName || s.serviceName || null,
+                    urlTemplate: templateUrl(url),
+                    parentId: parentRef ? parentRef.spanID : null,
+                    duration: s.duration || 0,
+                    startTime: s.startTime || 0,
+                    status,
+                    error,
+                    critical: criticalPath.has(s.spanID)
+                });
             }
         }
     });
 
+    // Keep the earliest call per key; `calls` records how many were collapsed into it
+    const seenUrls = new Map();
+    for (const call of leafCalls) {
+        const key = parseOptions.dedupeBy === 'template' ? call.urlTemplate : call.url;
+        const { method, url, urlTemplate, duration, startTime, spanId, service } = call;
+        const seen = seenUrls.get(key);
+        const calls = seen ? seen.calls + 1 : 1;
+        const critical = call.critical || (seen ? seen.critical : false);
+        // A failing repeat must not be hidden behind a successful first call: keep the worst status
+        const status = Math.max(call.status || 0, seen?.status || 0) || null;
+        const error = call.error || (seen ? seen.error : false);
+        if (!seen || seen.startTime > startTime) {
+            seenUrls.set(key, { method, url, urlTemplate, duration, startTime, spanId, service, calls, critical, status, error });
+        } else {
+            Object.assign(seen, { calls, critical, status, error });
+        }
+    }
+
+    // Absolute trace time range (ms since epoch), for log links
+    const traceEnd = Math.max(...spans.map(s => (s.startTime || 0) + (s.duration || 0)));
+    const traceWindow = { startMs: Math.floor(traceStart / 1000), endMs: Math.ceil(traceEnd / 1000) };
+
     const traces = [...seenUrls.values()];
-    if (traces.length === 0) return [{ method: 'N/A', url: '- No leaf node traces found -', duration: 0 }];
-    return traces.sort((a, b) => a.startTime - b.startTime);
+    if (traces.length === 0) return { ...placeholderTrace('- No leaf node traces found -'), graphData, window: traceWindow };
+    return {
+        tracedUrls: traces.sort((a, b) => a.startTime - b.startTime),
+        graphData,
+        window: traceWindow,
+        findings: detectFindings(leafCalls, parseOptions.findings)
+    };
+}
+
+function buildGraphSpan(span, traceStart) {
+    const parentRef = span.references?.find(r => r.refType === 'CHILD_OF');
+    const processTags = span.process?.tags || [];
+    const taskArnTag = processTags.find(t => ECS_TASK_ARN_TAGS.includes(t.key) && t.value);
+    const urlTag = span.tags?.find(t => t.key === 'url.full' && t.value);
+    const { status, error } = readSpanStatus(span.tags);
+
+    return {
+        spanId: span.spanID,
+        parentId: parentRef ? parentRef.spanID : null,
+        service: span.process?.serviceName || span.serviceName || 'unknown',
+        taskArn: taskArnTag ? taskArnTag.value : null,
+        operation: span.operationName || '',
+        url: urlTag ? urlTag.value.trim() : null,
+        startOffset: (span.startTime || 0) - traceStart,
+        duration: span.duration || 0,
+        status,
+        error,
+        // Shown in the viewer's detail drawer; { key, value } so redaction's tagKeys apply
+        tags: (span.tags || []).map(({ key, value }) => ({ key, value }))
+    };
+}
+
+/**
+ * HTTP status (stable and legacy OTel keys) and error flag of a span. A span is in error when it has
+ * error=true or an OTel ERROR status; a status code alone does not set the flag.
+ */
+function readSpanStatus(tags = []) {
+    const statusTag = tags.find(t => (t.key === 'http.response.status_code' || t.key === 'http.status_code') && t.value !== undefined && t.value !== null);
+    const status = statusTag ? Number(statusTag.value) || null : null;
+    const error = tags.some(t =>
+        (t.key === 'error' && (t.value === true || t.value === 'true')) ||
+        (t.key === 'otel.status_code' && String(t.value).toUpperCase() === 'ERROR'));
+    return { status, error };
 }
 
 main();
@@ -0,0 +1,196 @@
+/**
+ * Performance budgets for api-tracer.js
+ *
+ * A budgets file (JSON or YAML, --budgets=<path>) lists per-endpoint limits:
+ *
+ *   budgets:
+ *     - name: Login
+ *       method: POST                  # optional, case-insensitive
+ *       url: /auth/login$             # regex tested against the source URL and its template
+ *       maxHarTimeMs: 2000            # HAR wait + receive
+ *       maxBackendMs: 1500            # root span duration
+ *       maxDownstreamMs: 800          # any single downstream (leaf) call
+ *       maxDownstreamCalls: 10        # downstream (leaf) HTTP calls in the trace
+ *       requireCacheControl: no-store # regex the cache-control value must match
+ *       allowMissingTrace: false      # true: skip the trace limits above when the request has no spans
+ *
+ * Limits are numbers of milliseconds / calls. A request without trace data (not found, not ingested)
+ * fails the trace limits unless allowMissingTrace is set. Every request matching a budget is one check;
+ * results go into report metadata, onto the offending rows (budgetViolations) and into a JUnit XML file for CI.
+ */
+
+import fs from 'fs';
+import { readStructuredFile } from './config.js';
+import { findRootSpans } from './critical-path.js';
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+const NUMERIC_LIMITS = ['maxHarTimeMs', 'maxBackendMs', 'maxDownstreamMs', 'maxDownstreamCalls'];
+// Limits that need the request's spans
+const TRACE_LIMITS = ['maxBackendMs', 'maxDownstreamMs', 'maxDownstreamCalls'];
+
+// =================================================================
+// --- Loading ---
+// =================================================================
+
+/**
+ * Reads and validates a budgets file. Throws with the offending entry on bad input.
+ */
+export function loadBudgets(filePath) {
+    const doc = readStructuredFile(filePath);
+    const entries = Array.isArray(doc) ? doc : doc.budgets;
+    if (!Array.isArray(entries)) throw new Error(`Budgets file ${filePath} must contain a "budgets" list.`);
+
+    return entries.map((entry, i) => {
+        const name = entry.name || `budget #${i + 1}`;
+        if (!entry.url) throw new Error(`Budget "${name}" needs a "url" pattern.`);
+        for (const key of NUMERIC_LIMITS) {
+            const value = entry[key];
+            // e.g. "1.5s" would compare as NaN and never fail
+            if (value !== undefined && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+                throw new Error(`Budget "${name}" has an invalid ${key}: ${JSON.stringify(value)} (expected a number of ${key === 'maxDownstreamCalls' ? 'calls' : 'milliseconds'}).`);
+            }
+        }
+        if (entry.allowMissingTrace !== undefined && typeof entry.allowMissingTrace !== 'boolean') {
+            throw new Error(`Budget "${name}" has an invalid allowMissingTrace: ${JSON.stringify(entry.allowMissingTrace)} (expected true or false).`);
+        }
+        try {
+            return {
+                ...entry,
+                name,
+                method: entry.method ? entry.method.toUpperCase() : null,
+                urlPattern: new RegExp(entry.url),
+                cacheControlPattern: entry.requireCacheControl ? new RegExp(entry.requireCacheControl, 'i') : null
+            };
+        } catch (err) {
+            throw new Error(`Budget "${name}" has an invalid pattern: ${err.message}`);
+        }
+    });
+}
+
+// =================================================================
+// --- Evaluation ---
+// =================================================================
+
+/**
+ * Checks every row of a report against the budgets. Adds `budgetViolations` to failing rows and
+ * returns { checked, failed, cases: [{ budget, row, item, violations[] }] }.
+ */
+export function evaluateBudgets(reportData, budgets) {
+    const cases = [];
+
+    reportData.data.forEach((item, row) => {
+        const method = (item.method || '').toUpperCase();
+        for (const budget of budgets) {
+            if (budget.method && budget.method !== method) continue;
+            if (!budget.urlPattern.test(item.sourceUrl) && !(item.urlTemplate && budget.urlPattern.test(item.urlTemplate))) continue;
+
+            const violations = checkBudget(item, budget);
+            cases.push({ budget, row, item, violations });
+            if (violations.length > 0) {
+                item.budgetViolations = [...(item.budgetViolations || []), ...violations.map(v => `${budget.name}: ${v}`)];
+            }
+        }
+    });
+
+    return { checked: cases.length, failed: cases.filter(c => c.violations.length > 0).length, cases };
+}
+
+function checkBudget(item, budget) {
+    const violations = [];
+    const spans = item.graphData || [];
+    const roots = findRootSpans(spans);
+    const rootSet = new Set(roots);
+    const parentIds = new Set(spans.map(s => s.parentId));
+    // Leaf calls only: an intermediate span with a URL would repeat its slow children
+    const downstream = spans.filter(s => s.url && !rootSet.has(s) && !parentIds.has(s.spanId));
+
+    if (budget.maxHarTimeMs !== undefined && item.harResponseTime > budget.maxHarTimeMs) {
+        violations.push(`HAR time ${item.harResponseTime} ms > ${budget.maxHarTimeMs} ms`);
+    }
+    if (spans.length === 0 && !budget.allowMissingTrace) {
+        const limits = TRACE_LIMITS.filter(key => budget[key] !== undefined);
+        if (limits.length > 0) violations.push(`no trace data for ${limits.join(', ')}`);
+    }
+    if (budget.maxBackendMs !== undefined && roots.length > 0) {
+        const backendMs = Math.max(...roots.map(s => s.duration || 0)) / 1000;
+        if (backendMs > budget.maxBackendMs) violations.push(`backend ${backendMs.toFixed(0)} ms > ${budget.maxBackendMs} ms`);
+    }
+    if (budget.maxDownstreamMs !== undefined) {
+        downstream.filter(s => s.duration / 1000 > budget.maxDownstreamMs).forEach(s => {
+            violations.push(`downstream ${s.url} ${(s.duration / 1000).toFixed(0)} ms > ${budget.maxDownstreamMs} ms`);
+        });
+    }
+    if (budget.maxDownstreamCalls !== undefined && downstream.length > budget.maxDownstreamCalls) {
+        violations.push(`${downstream.length} downstream calls > ${budget.maxDownstreamCalls}`);
+    }
+    if (budget.cacheControlPattern && !budget.cacheControlPattern.test(item.cacheControl || '')) {
+        violations.push(`cache-control "${item.cacheControl}" does not match /${budget.requireCacheControl}/`);
+    }
+    return violations;
+}
+
+/**
+ * Compact summary for report metadata.
+ */
+export function summariseBudgetResult(result, budgetsFile) {
+    return {
+        file: budgetsFile,
+        checked: result.checked,
+        failed: result.failed,
+        violations: result.cases.filter(c => c.violations.length > 0).map(c => ({
+            budget: c.budget.name,
+            row: c.row + 1,
+            method: c.item.method,
+            sourceUrl: c.item.sourceUrl,
+            messages: c.violations
+        }))
+    };
+}
+
+// =================================================================
+// --- JUnit Output ---
+// =================================================================
+
+/**
+ * Writes one <testsuite> per HAR file and one <testcase> per budget check.
+ * suites: [{ name, result }] where result comes from evaluateBudgets(), or [{ name, error }] for an input
+ * that could not be processed (written as an errored testcase). Case names and messages carry request
+ * URLs, so they go through the report's redactor when one is given.
+ */
+export function writeJUnitReport(filePath, suites, redactor = null) {
+    const redactText = (text) => redactor ? redactor.redact(text).value : text;
+    const totalTests = suites.reduce((n, s) => n + (s.error ? 1 : s.result.checked), 0);
+    const totalFailures = suites.reduce((n, s) => n + (s.error ? 0 : s.result.failed), 0);
+    const totalErrors = suites.filter(s => s.error).length;
+
+    const suiteXml = suites.map(({ name, result, error }) => {
+        if (error) {
+            const message = xmlEscape(redactText(error));
+            return `  <testsuite name="${xmlEscape(name)}" tests="1" failures="0" errors="1">\n    <testcase classname="${xmlEscape(name)}" name="process ${xmlEscape(name)}">\n      <error message="${message}">${message}</error>\n    </testcase>\n  </testsuite>`;
+        }
+        const casesXml = result.cases.map(c => {
+            const caseName = redactText(`${c.budget.name}: ${c.item.method} ${c.item.sourceUrl} (#${c.row + 1})`);
+            const violations = c.violations.map(redactText);
+            const failure = violations.length > 0
+                ? `\n      <failure message="${xmlEscape(violations[0])}">${xmlEscape(violations.join('\n'))}</failure>\n    `
+                : '';
+            return `    <testcase classname="${xmlEscape(name)}" name="${xmlEscape(caseName)}">${failure}</testcase>`;
+        }).join('\n');
+        return `  <testsuite name="${xmlEscape(name)}" tests="${result.checked}" failures="${result.failed}">\n${casesXml}\n  </testsuite>`;
+    }).join('\n');
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="api-tracer budgets" tests="${totalTests}" failures="${totalFailures}" errors="${totalErrors}">\n${suiteXml}\n</testsuites>\n`;
+    fs.writeFileSync(filePath, xml);
+}
+
+function xmlEscape(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,138 @@
+/**
+ * HTTP cache behaviour analysis for api-tracer.js
+ *
+ * Reads the caching headers of each HAR entry (Cache-Control, Expires, ETag, Last-Modified, Age, Vary,
+ * CDN hit headers such as x-cache / cf-cache-status, and the browser's own _fromCache flag) and, with
+ * the other requests of the same HAR, classifies every request as:
+ * - browser-hit        served from the browser's memory/disk cache
+ * - cdn-hit            served by a shared cache (CDN hit header, or Age > 0)
+ * - revalidated        304 Not Modified: the backend was asked, but only to confirm a cached copy
+ * - cacheable-missed   fetched from origin although the response is fresh for a while, or the same GET
+ *                      was already made earlier in the HAR
+ * - uncacheable        not a GET/HEAD, a non-cacheable status, no-store / Vary: *, or no freshness at all
+ * Repeated misses and revalidations are flagged `avoidable`: a (longer-lived) cache entry would have
+ * kept them off the backend. The viewer totals their backend time as the estimated saving.
+ */
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+export const CACHE_CLASSES = ['browser-hit', 'cdn-hit', 'revalidated', 'cacheable-missed', 'uncacheable'];
+
+// Response headers CDNs and reverse proxies use to report a cache hit ("HIT", "TCP_MEM_HIT", "Hit from cloudfront", "MISS, HIT")
+const CDN_HIT_HEADERS = ['x-cache', 'cf-cache-status', 'x-cache-status', 'x-proxy-cache', 'cdn-cache', 'x-fastly-cache-status'];
+const CDN_HIT_PATTERN = /hit/i;
+
+const CACHEABLE_METHODS = new Set(['GET', 'HEAD']);
+// Status codes cacheable by default (RFC 9111 "heuristically cacheable")
+const CACHEABLE_STATUSES = new Set([200, 203, 204, 206, 300, 301, 308, 404, 405, 410, 414, 501]);
+
+// =================================================================
+// --- Header Capture ---
+// =================================================================
+
+/**
+ * Picks the cache-relevant headers of a HAR entry. Only headers present are included.
+ */
+export function readCacheHeaders(entry) {
+    const response = (name) => findHeader(entry.response?.headers, name);
+    const request = (name) => findHeader(entry.request?.headers, name);
+    const headers = {
+        cacheControl: response('cache-control'),
+        expires: response('expires'),
+        etag: response('etag'),
+        lastModified: response('last-modified'),
+        age: response('age'),
+        vary: response('vary'),
+        ifNoneMatch: request('if-none-match'),
+        ifModifiedSince: request('if-modified-since')
+    };
+    const cdnHeader = CDN_HIT_HEADERS.find(name => response(name) !== null);
+    if (cdnHeader) headers.cdn = `${cdnHeader}: ${response(cdnHeader)}`;
+    // Chrome/Edge HAR exports: "memory" or "disk"
+    if (entry._fromCache) headers.fromCache = entry._fromCache;
+
+    return Object.fromEntries(Object.entries(headers).filter(([, v]) => v !== null && v !== undefined));
+}
+
+// =================================================================
+// --- Classification ---
+// =================================================================
+
+/**
+ * requests: [{ method, sourceUrl, status, startedDateTime, cacheHeaders }] from one HAR.
+ * Sets req.cache = { class, reasons[], avoidable, occurrence, headers } on each request.
+ */
+export function analyseCaching(requests) {
+    // Occurrence of each identical GET, in HAR order
+    const seen = new Map();
+    const chronological = [...requests].sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+    for (const req of chronological) {
+        const key = `${req.method} ${req.sourceUrl}`;
+        seen.set(key, (seen.get(key) || 0) + 1);
+        req.cache = classify(req, seen.get(key));
+    }
+}
+
+function classify(req, occurrence) {
+    const headers = req.cacheHeaders || {};
+    const directives = parseCacheControl(headers.cacheControl);
+    const result = (cls, reasons, avoidable = false) => ({ class: cls, reasons, avoidable, occurrence, headers });
+    const repeatReason = `identical ${req.method} #${occurrence} in this HAR`;
+
+    if (headers.fromCache) return result('browser-hit', [`served from the browser ${headers.fromCache} cache`]);
+    if (req.status === 304) {
+        const validator = headers.ifNoneMatch ? 'If-None-Match' : headers.ifModifiedSince ? 'If-Modified-Since' : 'conditional request';
+        return result('revalidated', [`304 Not Modified (${validator})`], true);
+    }
+    if (headers.cdn && CDN_HIT_PATTERN.test(headers.cdn)) return result('cdn-hit', [headers.cdn]);
+    if (Number(headers.age) > 0) return result('cdn-hit', [`Age: ${headers.age}s (served by a shared cache)`]);
+
+    const method = (req.method || '').toUpperCase();
+    if (!CACHEABLE_METHODS.has(method)) return result('uncacheable', [`${method} responses are not cached`]);
+    if (!CACHEABLE_STATUSES.has(req.status)) return result('uncacheable', [`status ${req.status || 'none'} is not cacheable`]);
+    if (directives['no-store']) return result('uncacheable', ['Cache-Control: no-store']);
+    if (headers.vary && headers.vary.trim() === '*') return result('uncacheable', ['Vary: *']);
+
+    const reasons = [];
+    const freshSec = freshnessLifetime(directives, headers, req.startedDateTime);
+    if (freshSec > 0) reasons.push(`fresh for ${freshSec}s but fetched from origin`);
+    if (occurrence > 1) {
+        reasons.push(repeatReason);
+        if (headers.etag || headers.lastModified) reasons.push('has validators (ETag/Last-Modified) but was not revalidated');
+    }
+    if (reasons.length > 0) return result('cacheable-missed', reasons, occurrence > 1);
+
+    return result('uncacheable', [headers.cacheControl ? `Cache-Control: ${headers.cacheControl}` : 'no Cache-Control, Expires or validators']);
+}
+
+/**
+ * Seconds a response may be served from cache: s-maxage, then max-age, then Expires.
+ */
+function freshnessLifetime(directives, headers, startedDateTime) {
+    if (directives['no-cache']) return 0;
+    if (directives['s-maxage'] !== undefined) return Number(directives['s-maxage']) || 0;
+    if (directives['max-age'] !== undefined) return Number(directives['max-age']) || 0;
+    if (headers.expires) {
+        const expires = Date.parse(headers.expires);
+        const requested = Date.parse(startedDateTime);
+        if (!Number.isNaN(expires) && !Number.isNaN(requested)) return Math.max(0, Math.round((expires - requested) / 1000));
+    }
+    return 0;
+}
+
+function parseCacheControl(value) {
+    const directives = {};
+    (value || '').split(',').forEach(part => {
+        const [name, arg] = part.split('=');
+        if (name.trim()) directives[name.trim().toLowerCase()] = arg === undefined ? true : arg.trim().replace(/^"|"$/g, '');
+    });
+    return directives;
+}
+
+function findHeader(headers, name) {
+    if (!Array.isArray(headers)) return null;
+    const h = headers.find(x => x.name.toLowerCase() === name);
+    return h ? h.value : null;
+}
@@ -0,0 +1,304 @@
+/**
+ * Settings loader for api-tracer.js
+ *
+ * Resolves the effective settings from (lowest to highest precedence):
+ * 1. Built-in defaults (DEFAULT_SETTINGS)
+ * 2. Legacy environment variables (SPLUNK_HOST, SPLUNK_APM_TOKEN, SPLUNK_UI_HOST, IGNORE_SSL, DEBUG_TRACE_DIR)
+ * 3. Config file "defaults" section
+ * 4. Config file profile (--profile, else the file's "defaultProfile")
+ * 5. CLI flags
+ *
+ * Config file: --config=<path>, else the first of api-tracer.config.{json,yaml,yml} in the working directory.
+ * See api-tracer.config.example.yaml for the format.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { DEFAULT_REDACTION_SETTINGS } from './redaction.js';
+import { DEFAULT_FINDINGS_SETTINGS } from './findings.js';
+import { DEFAULT_LINK_SETTINGS } from './deep-links.js';
+
+// =================================================================
+// --- DEFAULTS ---
+// =================================================================
+
+export const DEFAULT_CONFIG_FILES = ['api-tracer.config.json', 'api-tracer.config.yaml', 'api-tracer.config.yml'];
+
+export const DEFAULT_SETTINGS = {
+    output: null,
+    domainRegex: null,
+    splunkHost: null,
+    splunkApmToken: null,
+    splunkUiHost: null,
+    ignoreSsl: false,
+    backend: 'splunk',
+    backendUrl: null,
+    backendHeaders: {},
+    traceFilesDir: null,
+    traceDir: './splunk_traces',
+    cacheMode: 'off',
+    concurrency: 4,
+    requestsPerSecond: 10,
+    maxRetries: 3,
+    maxWaitSec: 0,
+    pollIntervalSec: 30,
+    traceIdStrategies: ['header:x-correlation-id'],
+    urlTemplates: { builtins: true, query: 'names', rules: [] },
+    dedupeBy: 'url',
+    redaction: structuredClone(DEFAULT_REDACTION_SETTINGS),
+    findings: { ...DEFAULT_FINDINGS_SETTINGS },
+    links: { ...DEFAULT_LINK_SETTINGS },
+    budgetsFile: null,
+    junitFile: null,
+    htmlFile: null,
+    host: '127.0.0.1',
+    allowedHosts: [],
+    port: 8080,
+    resultsDir: './results',
+    // Run history (see run-history.js): null = <resultsDir>/history.jsonl, false = off
+    historyFile: null,
+    runLabel: null,
+    environment: null,
+    thresholds: {
+        durationMs: 300,
+        timingWarnMs: 2000,
+        timingCritMs: 5000
+    }
+};
+
+// CLI flag -> settings key. Flags not listed here (e.g. --config, --profile) are handled separately.
+const FLAG_TO_SETTING = {
+    'output': 'output',
+    'domain': 'domainRegex',
+    'splunk-host': 'splunkHost',
+    'splunk-ui-host': 'splunkUiHost',
+    'ignore-ssl': 'ignoreSsl',
+    'backend': 'backend',
+    'backend-url': 'backendUrl',
+    'trace-files-dir': 'traceFilesDir',
+    'trace-dir': 'traceDir',
+    'concurrency': 'concurrency',
+    'rps': 'requestsPerSecond',
+    'max-retries': 'maxRetries',
+    'max-wait': 'maxWaitSec',
+    'poll-interval': 'pollIntervalSec',
+    'trace-id': 'traceIdStrategies',
+    'dedupe-by': 'dedupeBy',
+    'budgets': 'budgetsFile',
+    'junit': 'junitFile',
+    'html': 'htmlFile',
+    'host': 'host',
+    'allowed-hosts': 'allowedHosts',
+    'port': 'port',
+    'results-dir': 'resultsDir',
+    'history': 'historyFile',
+    'label': 'runLabel',
+    'env': 'environment',
+    'duration-threshold-ms': 'thresholds.durationMs',
+    'timing-warn-ms': 'thresholds.timingWarnMs',
+    'timing-crit-ms': 'thresholds.timingCritMs'
+};
+
+// Numeric settings: [key, allowZero]
+const NUMERIC_SETTINGS = [
+    ['concurrency', false],
+    ['requestsPerSecond', false],
+    ['maxRetries', true],
+    ['maxWaitSec', true],
+    ['pollIntervalSec', false],
+    ['port', true],
+    ['findings.duplicateMin', false],
+    ['findings.nPlusOneMin', false],
+    ['findings.sequentialMin', false],
+    ['links.logWindowPadSec', true],
+    ['thresholds.durationMs', true],
+    ['thresholds.timingWarnMs', true],
+    ['thresholds.timingCritMs', true]
+];
+
+// Settings that must be strings when set (null = unset). A bare flag ("--output" with no "=value") arrives as true.
+const STRING_SETTINGS = [
+    'output', 'domainRegex', 'splunkHost', 'splunkApmToken', 'splunkUiHost', 'backend', 'backendUrl',
+    'traceFilesDir', 'traceDir', 'dedupeBy', 'budgetsFile', 'junitFile', 'host', 'resultsDir', 'runLabel', 'environment'
+];
+
+const SETTING_TO_FLAG = Object.fromEntries(Object.entries(FLAG_TO_SETTING).map(([flag, key]) => [key, flag]));
+
+const CACHE_MODES = ['off', 'prefer-cache', 'offline'];
+const DEDUPE_KEYS = ['url', 'template'];
+
+// =================================================================
+// --- Loading ---
+// =================================================================
+
+/**
+ * Builds the effective settings object from defaults, env, config file and CLI flags.
+ * Returns { settings, configFile, profile }. Throws on an unreadable config or unknown profile.
+ */
+export function loadSettings(flags, env = process.env) {
+    const settings = structuredClone(DEFAULT_SETTINGS);
+
+    mergeSettings(settings, settingsFromEnv(env));
+
+    const configFile = resolveConfigFile(flags.config);
+    let profile = null;
+    if (configFile) {
+        const config = readStructuredFile(configFile);
+        mergeSettings(settings, config.defaults || {});
+
+        profile = typeof flags.profile === 'string' ? flags.profile : (config.defaultProfile || null);
+        if (profile) {
+            const profileSettings = config.profiles?.[profile];
+            if (!profileSettings) {
+                const known = Object.keys(config.profiles || {}).join(', ') || 'none';
+                throw new Error(`Profile "${profile}" not found in ${configFile} (available: ${known}).`);
+            }
+            mergeSettings(settings, profileSettings);
+        }
+
+        // Per-profile tokens are best kept out of the file: "splunkApmTokenEnv: SPLUNK_TOKEN_EU2"
+        if (settings.splunkApmTokenEnv && env[settings.splunkApmTokenEnv]) {
+            settings.splunkApmToken = env[settings.splunkApmTokenEnv];
+        }
+    } else if (typeof flags.profile === 'string') {
+        throw new Error(`--profile=${flags.profile} given but no config file was found.`);
+    }
+
+    mergeSettings(settings, settingsFromFlags(flags));
+    normaliseSettings(settings);
+
+    return { settings, configFile, profile };
+}
+
+function settingsFromEnv(env) {
+    const fromEnv = {};
+    if (env.SPLUNK_HOST) fromEnv.splunkHost = env.SPLUNK_HOST;
+    if (env.SPLUNK_APM_TOKEN) fromEnv.splunkApmToken = env.SPLUNK_APM_TOKEN;
+    if (env.SPLUNK_UI_HOST) fromEnv.splunkUiHost = env.SPLUNK_UI_HOST;
+    if (env.IGNORE_SSL) fromEnv.ignoreSsl = env.IGNORE_SSL === 'true';
+    if (env.DEBUG_TRACE_DIR) fromEnv.traceDir = env.DEBUG_TRACE_DIR;
+    return fromEnv;
+}
+
+function settingsFromFlags(flags) {
+    const fromFlags = {};
+    for (const [flag, key] of Object.entries(FLAG_TO_SETTING)) {
+        if (flags[flag] !== undefined) setPath(fromFlags, key, flags[flag]);
+    }
+    if (flags['no-redact']) fromFlags.redaction = { enabled: false };
+    if (flags['no-history']) fromFlags.historyFile = false;
+    if (flags.offline) fromFlags.cacheMode = 'offline';
+    else if (flags['use-cache']) fromFlags.cacheMode = 'prefer-cache';
+    return fromFlags;
+}
+
+function resolveConfigFile(explicitPath) {
+    if (typeof explicitPath === 'string') {
+        if (!fs.existsSync(explicitPath)) throw new Error(`Config file not found: ${explicitPath}`);
+        return explicitPath;
+    }
+    return DEFAULT_CONFIG_FILES.find(name => fs.existsSync(name)) || null;
+}
+
+/**
+ * Reads a JSON or YAML file (by extension). Also used for the budgets file.
+ */
+export function readStructuredFile(filePath) {
+    try {
+        const text = fs.readFileSync(filePath, 'utf8');
+        const ext = path.extname(filePath).toLowerCase();
+        const config = ext === '.yaml' || ext === '.yml' ? yaml.load(text) : JSON.parse(text);
+        return config || {};
+    } catch (err) {
+        throw new Error(`Failed to read ${filePath}: ${err.message}`);
+    }
+}
+
+// =================================================================
+// --- Helpers ---
+// =================================================================
+
+/**
+ * Deep-merges plain objects from `source` into `target`; arrays and scalars replace.
+ */
+function mergeSettings(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            mergeSettings(target[key], value);
+        } else if (value !== undefined) {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+function normaliseSettings(settings) {
+    for (const key of STRING_SETTINGS) {
+        const value = settings[key];
+        if (value === null || value === undefined) continue;
+        if (typeof value !== 'string' || value === '') throw invalidOption(key, value, 'a string');
+    }
+    // --html and --history take an optional path; historyFile: false turns history off
+    if (settings.htmlFile !== null && settings.htmlFile !== true && typeof settings.htmlFile !== 'string') {
+        throw invalidOption('htmlFile', settings.htmlFile, 'a path or true');
+    }
+    if (settings.historyFile !== null && settings.historyFile !== false && typeof settings.historyFile !== 'string') {
+        throw invalidOption('historyFile', settings.historyFile, 'a path or false');
+    }
+    for (const [key, allowZero] of NUMERIC_SETTINGS) {
+        // Number(true) would quietly become 1
+        if (getPath(settings, key) === true) throw invalidOption(key, true, 'a number');
+        const n = Number(getPath(settings, key));
+        if (!Number.isFinite(n) || n < 0 || (n === 0 && !allowZero)) {
+            throw new Error(`Invalid value for ${key}: ${getPath(settings, key)}`);
+        }
+        setPath(settings, key, n);
+    }
+    if (!CACHE_MODES.includes(settings.cacheMode)) {
+        throw new Error(`Invalid cacheMode "${settings.cacheMode}" (expected one of ${CACHE_MODES.join(', ')}).`);
+    }
+    if (!DEDUPE_KEYS.includes(settings.dedupeBy)) {
+        throw new Error(`Invalid dedupeBy "${settings.dedupeBy}" (expected one of ${DEDUPE_KEYS.join(', ')}).`);
+    }
+    // Flags arrive as strings ("--ignore-ssl" alone is true)
+    settings.ignoreSsl = settings.ignoreSsl === true || settings.ignoreSsl === 'true';
+    // "--html" alone (or htmlFile: true) derives the file name from the output zip
+    if (settings.htmlFile === 'true') settings.htmlFile = true;
+    // --trace-id is comma-separated; config files can use a list (needed for regexes containing commas)
+    if (typeof settings.traceIdStrategies === 'string') {
+        settings.traceIdStrategies = settings.traceIdStrategies.split(',').map(s => s.trim()).filter(Boolean);
+    }
+    const strategies = settings.traceIdStrategies;
+    if (!Array.isArray(strategies) || strategies.length === 0 || !strategies.every(s => typeof s === 'string' && s !== '')) {
+        throw invalidOption('traceIdStrategies', strategies, 'a comma-separated string or a list of strings');
+    }
+    if (typeof settings.allowedHosts === 'string') {
+        settings.allowedHosts = settings.allowedHosts.split(',').map(s => s.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(settings.allowedHosts) || !settings.allowedHosts.every(h => typeof h === 'string' && h !== '')) {
+        throw invalidOption('allowedHosts', settings.allowedHosts, 'a comma-separated string or a list of host names');
+    }
+    if (settings.output && !settings.output.endsWith('.zip')) settings.output = `${settings.output}.zip`;
+}
+
+/**
+ * Error for a setting of the wrong type, named by its CLI flag when it has one.
+ */
+function invalidOption(key, value, expected) {
+    const flag = SETTING_TO_FLAG[key];
+    if (value === true && flag) return new Error(`--${flag} needs a value (--${flag}=...).`);
+    const name = flag ? `--${flag} / ${key}` : key;
+    return new Error(`Invalid value for ${name}: ${JSON.stringify(value)} (expected ${expected}).`);
+}
+
+function getPath(obj, dottedKey) {
+    return dottedKey.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, dottedKey, value) {
+    const keys = dottedKey.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((o, k) => (o[k] = o[k] || {}), obj);
+    parent[last] = value;
+}
@@ -0,0 +1,87 @@
+/**
+ * Critical path analysis for api-tracer.js
+ *
+ * Leaf call durations overlap, so summing them says nothing about end-to-end latency. The critical
+ * path is the chain of spans that actually determined when the root finished: starting from the
+ * root's end, repeatedly step into the last-finishing child that started before the cursor, then
+ * continue from that child's start. Time between children is the parent's own (self) time.
+ *
+ * Works on the graphData span shape from buildGraphSpan(): { spanId, parentId, startOffset, duration } (µs).
+ */
+
+// =================================================================
+// --- Critical Path ---
+// =================================================================
+
+/**
+ * Returns a Map spanId -> µs that span contributes to the critical path. Spans not on the path are absent.
+ */
+export function computeCriticalPath(spans) {
+    const critical = new Map();
+    if (!spans || spans.length === 0) return critical;
+
+    const roots = findRootSpans(spans);
+    // Every span has a parent in the trace (cycles, self-parented spans): there is nothing to start from
+    if (roots.length === 0) return critical;
+    const rootSet = new Set(roots);
+    const children = new Map();
+    for (const span of spans) {
+        if (rootSet.has(span)) continue;
+        if (!children.has(span.parentId)) children.set(span.parentId, []);
+        children.get(span.parentId).push(span);
+    }
+    for (const list of children.values()) list.sort((a, b) => spanEnd(b) - spanEnd(a));
+
+    const addTime = (span, us) => {
+        if (us > 0) critical.set(span.spanId, (critical.get(span.spanId) || 0) + us);
+    };
+
+    // Span ids already walked; duplicated ids could otherwise loop back into their own subtree
+    const visited = new Set();
+    const walk = (span, endLimit) => {
+        if (visited.has(span.spanId)) return;
+        visited.add(span.spanId);
+        const start = span.startOffset || 0;
+        let cursor = Math.min(spanEnd(span), endLimit);
+        critical.set(span.spanId, critical.get(span.spanId) || 0);
+
+        for (const child of children.get(span.spanId) || []) {
+            const childStart = Math.max(child.startOffset || 0, start);
+            if (childStart >= cursor) continue;
+            // Children running past the cursor overlap a later critical child; only their earlier part counts
+            const childEnd = Math.min(spanEnd(child), cursor);
+            addTime(span, cursor - childEnd);
+            walk(child, childEnd);
+            cursor = childStart;
+        }
+        addTime(span, cursor - start);
+    };
+
+    // The last-finishing root bounds the trace
+    const root = roots.reduce((latest, s) => (spanEnd(s) > spanEnd(latest) ? s : latest), roots[0]);
+    walk(root, spanEnd(root));
+    return critical;
+}
+
+/**
+ * Splits a request's HAR time into backend (root span duration) and overhead (the rest: client,
+ * network, gateways without spans). All values in ms; backendMs is null when the trace has no spans.
+ */
+export function computeLatencySplit(harTimeMs, spans) {
+    const roots = findRootSpans(spans || []);
+    if (roots.length === 0) return { harMs: harTimeMs, backendMs: null, overheadMs: null };
+    const backendMs = Math.round(Math.max(...roots.map(s => s.duration || 0)) / 1000);
+    return { harMs: harTimeMs, backendMs, overheadMs: Math.max(0, harTimeMs - backendMs) };
+}
+
+/**
+ * Spans without a parent, or whose parent is not in the trace (partial / span-limited traces).
+ */
+export function findRootSpans(spans) {
+    const spanIds = new Set(spans.map(s => s.spanId));
+    return spans.filter(s => !s.parentId || !spanIds.has(s.parentId));
+}
+
+function spanEnd(span) {
+    return (span.startOffset || 0) + (span.duration || 0);
+}
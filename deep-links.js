@@ -0,0 +1,72 @@
+/**
+ * Deep link templates for api-tracer.js
+ *
+ * The viewer links every report row to the trace, each downstream call to its span, each service to
+ * its dashboard and each trace to a log query over the trace's time window. The URL shapes differ per
+ * realm / backend, so they are templates written into report metadata (metadata.links) and filled in
+ * by the viewer. Placeholders:
+ *   {uiHost}     the viewer's UI host (splunkUiHost; filled in by the viewer, which has a fallback)
+ *   {backendUrl} settings.backendUrl (filled in here)
+ *   {traceId} {spanId} {service}
+ *   {startMs} {endMs} {startIso} {endIso}  trace window widened by logWindowPadSec (logs only)
+ * Values are URL-encoded. A link whose template is null, or needs a value the row doesn't have, is not shown.
+ *
+ * Settings (config key "links"): { trace, span, service, logs, logWindowPadSec }; each template
+ * overrides the backend's default below, null disables that link.
+ */
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+export const DEFAULT_LINK_SETTINGS = {
+    logWindowPadSec: 60
+};
+
+const SPLUNK_LINKS = {
+    trace: '{uiHost}/apm/traces/{traceId}',
+    span: '{uiHost}/apm/traces/{traceId}?selectedSpanId={spanId}',
+    service: '{uiHost}/apm/service/{service}',
+    logs: '{uiHost}/logs?query=trace_id%3D{traceId}&startTime={startMs}&endTime={endMs}'
+};
+
+const BACKEND_LINKS = {
+    splunk: SPLUNK_LINKS,
+    // Trace files are usually Splunk exports; configure links for other sources
+    files: SPLUNK_LINKS,
+    jaeger: {
+        trace: '{backendUrl}/trace/{traceId}',
+        span: '{backendUrl}/trace/{traceId}?uiFind={spanId}',
+        service: '{backendUrl}/search?service={service}',
+        logs: null
+    },
+    // Tempo has no UI of its own; point these at Grafana Explore via the "links" setting
+    tempo: { trace: null, span: null, service: null, logs: null }
+};
+
+const LINK_KINDS = ['trace', 'span', 'service', 'logs'];
+
+// =================================================================
+// --- Resolution ---
+// =================================================================
+
+/**
+ * Returns { trace, span, service, logs, logWindowPadSec } for report metadata.
+ */
+export function resolveLinkTemplates(settings) {
+    const links = { ...DEFAULT_LINK_SETTINGS, ...(settings.links || {}) };
+    const defaults = BACKEND_LINKS[settings.backend] || BACKEND_LINKS.splunk;
+    const backendUrl = (settings.backendUrl || '').replace(/\/+$/, '');
+
+    const resolved = { logWindowPadSec: Number(links.logWindowPadSec) || 0 };
+    for (const kind of LINK_KINDS) {
+        const template = links[kind] !== undefined ? links[kind] : defaults[kind];
+        // A {backendUrl} link without a backend URL would be relative to the viewer; drop it
+        if (template && template.includes('{backendUrl}') && !backendUrl) {
+            resolved[kind] = null;
+            continue;
+        }
+        resolved[kind] = template ? template.replace(/\{backendUrl\}/g, backendUrl) : null;
+    }
+    return resolved;
+}
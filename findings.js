@@ -0,0 +1,98 @@
+/**
+ * Downstream call findings for api-tracer.js
+ *
+ * parseApmResponse() collapses repeated leaf calls into one row per URL; this module looks at every
+ * leaf call of a trace before that happens and flags patterns worth fixing:
+ * - duplicate-call     the same method + URL called more than once in one trace
+ * - n-plus-one         the same endpoint template called for many different ids (e.g. /users/{id} x 30)
+ * - sequential-fanout  calls to one template from the same parent that run strictly one after another,
+ *                      so they could be batched or run in parallel
+ *
+ * Settings (config key "findings"): { duplicateMin, nPlusOneMin, sequentialMin }
+ */
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+export const DEFAULT_FINDINGS_SETTINGS = {
+    duplicateMin: 2,
+    nPlusOneMin: 5,
+    sequentialMin: 3
+};
+
+export const FINDING_TYPES = ['duplicate-call', 'n-plus-one', 'sequential-fanout'];
+
+// =================================================================
+// --- Detection ---
+// =================================================================
+
+/**
+ * leafCalls: [{ method, url, urlTemplate, parentId, startTime, duration }] (µs), every leaf span with a URL.
+ * Returns [{ type, method, urlTemplate, count, totalDuration (µs), message }], most calls first.
+ */
+export function detectFindings(leafCalls, settings = {}) {
+    const options = { ...DEFAULT_FINDINGS_SETTINGS, ...settings };
+    const findings = [];
+
+    // Exact repeats: same method and URL
+    for (const calls of groupBy(leafCalls, c => `${c.method} ${c.url}`).values()) {
+        if (calls.length < options.duplicateMin) continue;
+        findings.push(buildFinding('duplicate-call', calls, `${calls.length}x identical call to ${calls[0].url}`));
+    }
+
+    for (const calls of groupBy(leafCalls, c => `${c.method} ${c.urlTemplate}`).values()) {
+        // N+1: many distinct URLs behind one template
+        const distinctUrls = new Set(calls.map(c => c.url)).size;
+        if (distinctUrls >= options.nPlusOneMin) {
+            findings.push(buildFinding('n-plus-one', calls, `${calls.length} calls to ${calls[0].urlTemplate} (${distinctUrls} distinct URLs)`));
+        }
+
+        // Sequential fan-out: per parent, the longest run where each call starts after the previous one ended
+        for (const siblings of groupBy(calls, c => c.parentId).values()) {
+            const run = longestSequentialRun(siblings);
+            if (run.length >= options.sequentialMin) {
+                findings.push(buildFinding('sequential-fanout', run, `${run.length} sequential calls to ${calls[0].urlTemplate} could be batched or parallelised`));
+            }
+        }
+    }
+
+    return findings.sort((a, b) => b.count - a.count);
+}
+
+function buildFinding(type, calls, message) {
+    return {
+        type,
+        method: calls[0].method,
+        urlTemplate: calls[0].urlTemplate,
+        count: calls.length,
+        totalDuration: calls.reduce((sum, c) => sum + (c.duration || 0), 0),
+        message
+    };
+}
+
+function longestSequentialRun(calls) {
+    const sorted = [...calls].sort((a, b) => a.startTime - b.startTime);
+    let best = [];
+    let current = [];
+    for (const call of sorted) {
+        const previous = current[current.length - 1];
+        if (previous && call.startTime >= previous.startTime + previous.duration) {
+            current.push(call);
+        } else {
+            current = [call];
+        }
+        if (current.length > best.length) best = current;
+    }
+    return best;
+}
+
+function groupBy(items, keyFn) {
+    const groups = new Map();
+    for (const item of items) {
+        const key = keyFn(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return groups;
+}
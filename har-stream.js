@@ -0,0 +1,221 @@
+/**
+ * Streaming HAR reader for api-tracer.js
+ *
+ * Full-session HARs with response bodies run to hundreds of MB; reading them with readFileSync +
+ * JSON.parse needs several times that in heap. streamHarEntries() walks the file in chunks with a
+ * small incremental JSON tokenizer, builds one `log.entries[i]` object at a time and never keeps
+ * the rest of the document. Large strings nobody needs (response bodies, request post data) are
+ * scanned past without being stored unless asked for.
+ */
+
+import fs from 'fs';
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+// Entry-relative paths dropped while parsing (see keepResponseBodies)
+const RESPONSE_BODY_PATH = 'response.content.text';
+const REQUEST_BODY_PATH = 'request.postData.text';
+
+// =================================================================
+// --- Entry Stream ---
+// =================================================================
+
+/**
+ * Async-iterates the entries of a HAR file.
+ * options.keepResponseBodies  keep response.content.text (needed by regex:body trace ID strategies)
+ * options.filter(entry)       only yield entries for which this returns true
+ * Throws on malformed JSON or when the file has no log.entries array.
+ */
+export async function* streamHarEntries(filePath, options = {}) {
+    const skipPaths = new Set([REQUEST_BODY_PATH]);
+    if (!options.keepResponseBodies) skipPaths.add(RESPONSE_BODY_PATH);
+
+    const pending = [];
+    let sawEntries = false;
+    const parser = createEntryParser({
+        skipPaths,
+        onEntriesStart: () => { sawEntries = true; },
+        onEntry: (entry) => {
+            if (!options.filter || options.filter(entry)) pending.push(entry);
+        }
+    });
+
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: READ_CHUNK_BYTES });
+    for await (const chunk of stream) {
+        parser.write(chunk);
+        while (pending.length > 0) yield pending.shift();
+    }
+    parser.end();
+    if (!sawEntries) throw new Error('Invalid HAR file format.');
+}
+
+// =================================================================
+// --- Incremental JSON Parsing ---
+// =================================================================
+
+/**
+ * Tokenizes JSON text fed in arbitrary chunks. Values are only materialised inside
+ * log.entries[i]; everything else is tracked by path and discarded.
+ */
+function createEntryParser({ skipPaths, onEntriesStart, onEntry }) {
+    // Each frame: { type: 'object'|'array', path: string[], key, expectKey, index, value, building }
+    const stack = [];
+    let inString = false;
+    let stringIsKey = false;
+    let skipString = false;
+    let escaped = false;
+    let stringParts = [];
+    let literal = '';
+    let offset = 0;
+    let done = false;
+
+    const fail = (message) => { throw new Error(`Failed to parse HAR file: ${message} near character ${offset}`); };
+
+    const top = () => stack[stack.length - 1];
+
+    // Path of the value about to be read in the current frame
+    const childPath = () => {
+        const frame = top();
+        if (!frame) return [];
+        return [...frame.path, frame.type === 'object' ? frame.key : String(frame.index)];
+    };
+
+    const entryRelativePath = (path) => (isEntryPath(path) ? path.slice(3).join('.') : null);
+    const isEntryPath = (path) => path.length >= 3 && path[0] === 'log' && path[1] === 'entries';
+
+    const addValue = (value) => {
+        const frame = top();
+        if (!frame) {
+            done = true;
+            return;
+        }
+        if (frame.building) {
+            if (frame.type === 'object') frame.value[frame.key] = value;
+            else frame.value.push(value);
+        }
+        if (frame.type === 'array') frame.index++;
+    };
+
+    const openContainer = (type) => {
+        const path = childPath();
+        const parent = top();
+        if (done) fail('unexpected data after the end of the document');
+        if (parent && parent.type === 'object' && parent.expectKey) fail('expected a key');
+        // Start building at log.entries[i]; keep building inside it
+        const building = (parent && parent.building) || (path.length === 3 && isEntryPath(path));
+        if (type === 'array' && path.length === 2 && path[0] === 'log' && path[1] === 'entries') onEntriesStart();
+        stack.push({ type, path, key: null, expectKey: type === 'object', index: 0, value: building ? (type === 'object' ? {} : []) : null, building });
+    };
+
+    const closeContainer = (type) => {
+        const frame = stack.pop();
+        if (!frame || frame.type !== type) fail(`unexpected ${type === 'object' ? '}' : ']'}`);
+        if (frame.building && frame.path.length === 3) {
+            onEntry(frame.value);
+            addValue(undefined);
+        } else {
+            addValue(frame.value);
+        }
+    };
+
+    const flushLiteral = () => {
+        if (!literal) return;
+        let value;
+        try { value = JSON.parse(literal); } catch (e) { fail(`invalid token "${literal.slice(0, 20)}"`); }
+        literal = '';
+        addValue(value);
+    };
+
+    const endString = () => {
+        const raw = stringParts.join('');
+        stringParts = [];
+        inString = false;
+        if (stringIsKey) {
+            let key;
+            try { key = JSON.parse(`"${raw}"`); } catch (e) { fail('invalid string'); }
+            top().key = key;
+            top().expectKey = false;
+            return;
+        }
+        if (skipString) {
+            skipString = false;
+            addValue(undefined);
+            return;
+        }
+        let value;
+        try { value = JSON.parse(`"${raw}"`); } catch (e) { fail('invalid string'); }
+        addValue(value);
+    };
+
+    function write(chunk) {
+        let i = 0;
+        while (i < chunk.length) {
+            if (inString) {
+                // Scan to the closing quote, honouring escapes; a string may span several chunks
+                let j = i;
+                for (; j < chunk.length; j++) {
+                    const c = chunk.charCodeAt(j);
+                    if (escaped) { escaped = false; continue; }
+                    if (c === 92) { escaped = true; continue; } // backslash
+                    if (c === 34) break; // quote
+                }
+                if (!skipString) stringParts.push(chunk.slice(i, j));
+                offset += j - i;
+                i = j;
+                if (i < chunk.length) {
+                    i++;
+                    offset++;
+                    endString();
+                }
+                continue;
+            }
+
+            const ch = chunk[i];
+            // Some HAR exporters write a UTF-8 BOM
+            if (ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t' || ch === '\uFEFF') {
+                flushLiteral();
+            } else if (ch === '"') {
+                flushLiteral();
+                const frame = top();
+                inString = true;
+                stringIsKey = !!(frame && frame.type === 'object' && frame.expectKey);
+                // Values outside an entry, and skipped entry fields, are scanned but never stored
+                skipString = !stringIsKey && (!(frame && frame.building) || skipPaths.has(entryRelativePath(childPath())));
+            } else if (ch === '{') {
+                flushLiteral();
+                openContainer('object');
+            } else if (ch === '[') {
+                flushLiteral();
+                openContainer('array');
+            } else if (ch === '}') {
+                flushLiteral();
+                closeContainer('object');
+            } else if (ch === ']') {
+                flushLiteral();
+                closeContainer('array');
+            } else if (ch === ',') {
+                flushLiteral();
+                const frame = top();
+                if (frame && frame.type === 'object') frame.expectKey = true;
+            } else if (ch === ':') {
+                flushLiteral();
+            } else {
+                if (done) fail('unexpected data after the end of the document');
+                literal += ch;
+            }
+            i++;
+            offset++;
+        }
+    }
+
+    function end() {
+        flushLiteral();
+        if (inString || stack.length > 0) fail('unexpected end of file');
+    }
+
+    return { write, end };
+}
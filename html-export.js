@@ -0,0 +1,64 @@
+/**
+ * Standalone HTML export for api-tracer.js
+ *
+ * Builds one HTML file from index.html with report-logic.js, the viewer libraries (JSZip,
+ * Cytoscape, dagre) and every report inlined, so it opens from disk or an email attachment
+ * with no upload step and no CDN access. Libraries come from node_modules; one that is not
+ * installed keeps its CDN <script> tag (and only the feature needing it requires network).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+const VIEWER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// CDN script URL (as referenced in index.html) -> local copy under node_modules
+const INLINE_LIBRARIES = [
+    { match: /jszip\.min\.js$/, file: 'node_modules/jszip/dist/jszip.min.js' },
+    { match: /cytoscape\.min\.js$/, file: 'node_modules/cytoscape/dist/cytoscape.min.js' },
+    { match: /dagre\.min\.js$/, file: 'node_modules/dagre/dist/dagre.min.js' },
+    { match: /cytoscape-dagre\.js$/, file: 'node_modules/cytoscape-dagre/cytoscape-dagre.js' }
+];
+
+// =================================================================
+// --- Export ---
+// =================================================================
+
+/**
+ * reports: [{ name, fileContent }] where fileContent is the `window.registerReportData(...)` (or
+ * `window.registerRunHistory(...)`) script (string or Buffer) also written to the zip. Returns the list of libraries left on the CDN.
+ */
+export function writeStandaloneHtml(filePath, reports) {
+    const missingLibraries = [];
+    let html = fs.readFileSync(path.join(VIEWER_DIR, 'index.html'), 'utf8');
+
+    html = html.replace(/<script src="(https?:\/\/[^"]+)"><\/script>/g, (tag, url) => {
+        const library = INLINE_LIBRARIES.find(lib => lib.match.test(url));
+        const libraryPath = library && path.join(VIEWER_DIR, library.file);
+        if (!libraryPath || !fs.existsSync(libraryPath)) {
+            missingLibraries.push(url);
+            return tag;
+        }
+        return inlineScript(fs.readFileSync(libraryPath, 'utf8'));
+    });
+
+    // Reports register themselves after the viewer logic; the viewer picks them up on DOMContentLoaded
+    const viewerLogic = fs.readFileSync(path.join(VIEWER_DIR, 'report-logic.js'), 'utf8');
+    const reportScripts = reports.map(r => inlineScript(String(r.fileContent))).join('\n    ');
+    html = html.replace(/<script src="report-logic\.js"[^>]*><\/script>/, () => `${inlineScript(viewerLogic)}\n    ${reportScripts}`);
+
+    fs.writeFileSync(filePath, html);
+    return missingLibraries;
+}
+
+/**
+ * "</script" inside inlined code would close the tag early; "<\/script" is equivalent in JS strings.
+ */
+function inlineScript(source) {
+    return `<script>\n${source.replace(/<\/script/gi, '<\\/script')}\n</script>`;
+}
@@ -0,0 +1,346 @@
+/**
+ * Input adapters for api-tracer.js
+ *
+ * Every supported capture is normalised into HAR 1.2-style entries, so trace ID extraction and the
+ * rest of the pipeline see the same shape whatever produced the file:
+ *   { startedDateTime, request: { method, url, headers: [{ name, value }] },
+ *     response: { status, headers: [{ name, value }], content: { text? } }, timings: { wait, receive } }
+ *
+ * Formats (detected from the file's first bytes, not its extension):
+ * - har         HAR 1.2 (browsers, Charles, mitmproxy's HAR export). Streamed, see har-stream.js.
+ * - playwright  Playwright trace zip (trace.zip) or an extracted *.network file ("resource-snapshot" lines)
+ * - chrome-log  Chrome DevTools protocol performance log (chromedriver "performance" log, or raw
+ *               Network.* events) as a JSON array or one event per line
+ * - mitmproxy   mitmproxy / mitmdump flow file (tnetstring-encoded HTTP flows)
+ * Non-HAR formats are read into memory whole.
+ */
+
+import fs from 'fs';
+import AdmZip from 'adm-zip';
+import { streamHarEntries } from './har-stream.js';
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+export const INPUT_FORMATS = ['har', 'playwright', 'chrome-log', 'mitmproxy'];
+
+const SNIFF_BYTES = 64 * 1024;
+
+// =================================================================
+// --- Detection & Dispatch ---
+// =================================================================
+
+/**
+ * Returns one of INPUT_FORMATS for the file.
+ */
+export function detectInputFormat(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    const head = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, head, 0, SNIFF_BYTES, 0);
+    fs.closeSync(fd);
+
+    if (head[0] === 0x50 && head[1] === 0x4b) return 'playwright'; // "PK": zip archive
+    const text = head.subarray(0, bytesRead).toString('utf8').replace(/^\uFEFF/, '');
+    if (/^\d+:/.test(text)) return 'mitmproxy';
+    if (/^\s*\{\s*"log"\s*:/.test(text)) return 'har';
+    if (text.includes('"resource-snapshot"')) return 'playwright';
+    if (/Network\.(requestWillBeSent|responseReceived)/.test(text)) return 'chrome-log';
+    return 'har';
+}
+
+/**
+ * Async-iterates normalised entries of any supported input.
+ * options.keepResponseBodies  fill response.content.text where the format has bodies
+ * options.filter(entry)       only yield entries for which this returns true
+ * Returns the detected format via options.onFormat(format), if given.
+ */
+export async function* readInputEntries(filePath, options = {}) {
+    const format = detectInputFormat(filePath);
+    options.onFormat?.(format);
+
+    if (format === 'har') {
+        yield* streamHarEntries(filePath, options);
+        return;
+    }
+
+    const readers = { playwright: readPlaywrightEntries, 'chrome-log': readChromeLogEntries, mitmproxy: readMitmproxyEntries };
+    for (const entry of readers[format](filePath, options)) {
+        if (!options.filter || options.filter(entry)) yield entry;
+    }
+}
+
+// =================================================================
+// --- Playwright ---
+// =================================================================
+
+/**
+ * Playwright records each network resource as a HAR entry ("resource-snapshot") in trace.network;
+ * bodies live in the zip under resources/<sha1>.
+ */
+function readPlaywrightEntries(filePath, options) {
+    const isZip = detectZip(filePath);
+    const zip = isZip ? new AdmZip(filePath) : null;
+    const networkFiles = isZip
+        ? zip.getEntries().filter(e => e.entryName.endsWith('.network')).map(e => zip.readAsText(e))
+        : [fs.readFileSync(filePath, 'utf8')];
+    if (isZip && networkFiles.length === 0) throw new Error('Zip has no *.network file; not a Playwright trace.');
+
+    const entries = [];
+    for (const text of networkFiles) {
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            const event = JSON.parse(line);
+            if (event.type !== 'resource-snapshot' || !event.snapshot) continue;
+
+            const entry = event.snapshot;
+            const sha1 = entry.response?.content?._sha1;
+            if (options.keepResponseBodies && zip && sha1) {
+                const resource = zip.getEntry(`resources/${sha1}`);
+                if (resource) entry.response.content.text = zip.readAsText(resource);
+            }
+            entries.push(entry);
+        }
+    }
+    return entries;
+}
+
+function detectZip(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    const magic = Buffer.alloc(2);
+    fs.readSync(fd, magic, 0, 2, 0);
+    fs.closeSync(fd);
+    return magic[0] === 0x50 && magic[1] === 0x4b;
+}
+
+// =================================================================
+// --- Chrome DevTools Performance Log ---
+// =================================================================
+
+/**
+ * Rebuilds requests from Network.* events. Headers from the *ExtraInfo events (which include those
+ * added by the network stack) are merged over the basic ones; redirects become separate entries.
+ */
+function readChromeLogEntries(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').trim();
+    const records = text.startsWith('[') ? JSON.parse(text) : text.split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+
+    const requests = new Map();
+    const entries = [];
+    const finish = (r) => {
+        if (r.request) entries.push(buildChromeEntry(r));
+    };
+
+    for (const record of records) {
+        const event = unwrapChromeEvent(record);
+        if (!event || !event.method || !event.params) continue;
+        const { requestId } = event.params;
+        const r = requests.get(requestId) || { extraRequestHeaders: {}, extraResponseHeaders: {} };
+        requests.set(requestId, r);
+
+        switch (event.method) {
+            case 'Network.requestWillBeSent':
+                if (event.params.redirectResponse && r.request) {
+                    finish({ ...r, response: event.params.redirectResponse, finishedAt: event.params.timestamp });
+                    requests.set(requestId, { extraRequestHeaders: {}, extraResponseHeaders: {} });
+                }
+                Object.assign(requests.get(requestId), {
+                    request: event.params.request,
+                    wallTime: event.params.wallTime,
+                    sentAt: event.params.timestamp,
+                    initiator: event.params.initiator,
+                    resourceType: event.params.type
+                });
+                break;
+            case 'Network.requestWillBeSentExtraInfo':
+                Object.assign(r.extraRequestHeaders, event.params.headers);
+                break;
+            case 'Network.responseReceived':
+                r.response = event.params.response;
+                r.responseAt = event.params.timestamp;
+                break;
+            case 'Network.responseReceivedExtraInfo':
+                Object.assign(r.extraResponseHeaders, event.params.headers);
+                break;
+            case 'Network.loadingFinished':
+            case 'Network.loadingFailed':
+                r.finishedAt = event.params.timestamp;
+                r.failed = event.method === 'Network.loadingFailed';
+                r.transferSize = event.params.encodedDataLength;
+                break;
+        }
+    }
+    requests.forEach(finish);
+    return entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+}
+
+// chromedriver wraps each event as { level, timestamp, message: '{"message":{method, params},"webview":...}' }
+function unwrapChromeEvent(record) {
+    if (record.method) return record;
+    const message = typeof record.message === 'string' ? safeJsonParse(record.message) : record.message;
+    return message?.message || message || null;
+}
+
+function buildChromeEntry(r) {
+    const response = r.response || {};
+    const timing = response.timing;
+    let wait = 0;
+    let receive = 0;
+    let phases = {};
+    if (timing) {
+        // timing.* are ms relative to timing.requestTime (s), -1 when not applicable; event timestamps are s on the same clock
+        const span = (start, end) => (timing[start] >= 0 && timing[end] >= 0 ? timing[end] - timing[start] : -1);
+        const firstPhaseStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(t => t >= 0);
+        phases = {
+            blocked: firstPhaseStart ?? -1,
+            dns: span('dnsStart', 'dnsEnd'),
+            connect: span('connectStart', 'connectEnd'),
+            ssl: span('sslStart', 'sslEnd'),
+            send: span('sendStart', 'sendEnd')
+        };
+        wait = timing.receiveHeadersEnd - timing.sendEnd;
+        if (r.finishedAt) receive = (r.finishedAt - (timing.requestTime + timing.receiveHeadersEnd / 1000)) * 1000;
+    } else if (r.responseAt && r.sentAt) {
+        wait = (r.responseAt - r.sentAt) * 1000;
+        if (r.finishedAt) receive = (r.finishedAt - r.responseAt) * 1000;
+    }
+
+    return {
+        startedDateTime: new Date((r.wallTime || 0) * 1000).toISOString(),
+        request: {
+            method: r.request.method,
+            url: r.request.url + (r.request.urlFragment || ''),
+            headers: headerObjectToList({ ...r.request.headers, ...r.extraRequestHeaders })
+        },
+        response: {
+            status: r.failed && !r.response ? 0 : (response.status || 0),
+            statusText: response.statusText || '',
+            httpVersion: response.protocol || '',
+            headers: headerObjectToList({ ...response.headers, ...r.extraResponseHeaders }),
+            content: { mimeType: response.mimeType },
+            _transferSize: r.transferSize
+        },
+        serverIPAddress: response.remoteIPAddress,
+        _initiator: r.initiator,
+        _resourceType: r.resourceType ? r.resourceType.toLowerCase() : undefined,
+        timings: { ...phases, wait: Math.max(0, wait), receive: Math.max(0, receive) }
+    };
+}
+
+function headerObjectToList(headers) {
+    // ExtraInfo joins repeated headers with "\n"
+    return Object.entries(headers || {}).flatMap(([name, value]) => String(value).split('\n').map(v => ({ name, value: v })));
+}
+
+// =================================================================
+// --- mitmproxy Flows ---
+// =================================================================
+
+/**
+ * mitmproxy flow files are a sequence of tnetstring-encoded flow dicts.
+ */
+function readMitmproxyEntries(filePath, options) {
+    const buffer = fs.readFileSync(filePath);
+    const entries = [];
+    let offset = 0;
+    while (offset < buffer.length) {
+        const { value: flow, next } = parseTnetstring(buffer, offset);
+        offset = next;
+        while (offset < buffer.length && /\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+        if (!flow || text(flow.type) !== 'http' || !flow.request) continue;
+        entries.push(buildMitmproxyEntry(flow, options));
+    }
+    return entries;
+}
+
+function buildMitmproxyEntry(flow, options) {
+    const req = flow.request;
+    const res = flow.response || null;
+    const scheme = text(req.scheme) || 'http';
+    const port = Number(req.port);
+    const defaultPort = (scheme === 'https' && port === 443) || (scheme === 'http' && port === 80);
+    const host = text(req.host);
+    const url = `${scheme}://${host}${port && !defaultPort ? `:${port}` : ''}${text(req.path)}`;
+
+    // Timestamps are epoch seconds
+    const wait = res && req.timestamp_end ? (res.timestamp_start - req.timestamp_end) * 1000 : 0;
+    const receive = res && res.timestamp_end ? (res.timestamp_end - res.timestamp_start) * 1000 : 0;
+    const content = {};
+    if (options.keepResponseBodies && res && res.content) content.text = text(res.content);
+
+    return {
+        startedDateTime: new Date((req.timestamp_start || 0) * 1000).toISOString(),
+        request: { method: text(req.method), url, httpVersion: text(req.http_version), headers: headerPairsToList(req.headers) },
+        response: {
+            status: res ? Number(res.status_code) : 0,
+            statusText: res ? text(res.reason) : '',
+            httpVersion: res ? text(res.http_version) : '',
+            headers: headerPairsToList(res?.headers),
+            content
+        },
+        timings: { wait: Math.max(0, wait), receive: Math.max(0, receive) }
+    };
+}
+
+function headerPairsToList(pairs) {
+    return (pairs || []).map(([name, value]) => ({ name: text(name), value: text(value) }));
+}
+
+/**
+ * tnetstring: "<length>:<payload><type>" where type is , (bytes) ; (string) # (int) ^ (float)
+ * ! (bool) ~ (null) ] (list) } (dict). Returns { value, next } with next the offset after the value.
+ * limit is the end of the enclosing payload; nested values may not run past it.
+ */
+function parseTnetstring(buffer, offset, limit = buffer.length) {
+    const colon = buffer.indexOf(0x3a, offset);
+    const lengthText = colon < 0 ? '' : buffer.toString('ascii', offset, colon);
+    if (!/^\d{1,12}$/.test(lengthText)) throw new Error(`Not a mitmproxy flow file (no tnetstring at byte ${offset}).`);
+    const start = colon + 1;
+    const end = start + Number(lengthText);
+    // The type tag is the byte after the payload, so it must be inside the buffer (and inside the parent)
+    if (end >= limit) throw new Error(`Truncated mitmproxy flow file at byte ${offset}.`);
+    const payload = buffer.subarray(start, end);
+    const type = String.fromCharCode(buffer[end]);
+
+    switch (type) {
+        case ',': return { value: payload, next: end + 1 };
+        case ';': return { value: payload.toString('utf8'), next: end + 1 };
+        case '#': return { value: Number(payload.toString('ascii')), next: end + 1 };
+        case '^': return { value: parseFloat(payload.toString('ascii')), next: end + 1 };
+        case '!': return { value: payload.toString('ascii') === 'true', next: end + 1 };
+        case '~': return { value: null, next: end + 1 };
+        case ']': {
+            const list = [];
+            for (let pos = start; pos < end;) {
+                const item = parseTnetstring(buffer, pos, end);
+                list.push(item.value);
+                pos = item.next;
+            }
+            return { value: list, next: end + 1 };
+        }
+        case '}': {
+            const dict = {};
+            for (let pos = start; pos < end;) {
+                const key = parseTnetstring(buffer, pos, end);
+                const value = parseTnetstring(buffer, key.next, end);
+                dict[text(key.value)] = value.value;
+                pos = value.next;
+            }
+            return { value: dict, next: end + 1 };
+        }
+        default:
+            throw new Error(`Unknown tnetstring type "${type}" at byte ${end}.`);
+    }
+}
+
+// =================================================================
+// --- Helpers ---
+// =================================================================
+
+function text(value) {
+    return Buffer.isBuffer(value) ? value.toString('utf8') : value;
+}
+
+function safeJsonParse(str) {
+    try { return JSON.parse(str); } catch (e) { return null; }
+}
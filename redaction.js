@@ -0,0 +1,169 @@
+/**
+ * Sensitive data redaction for api-tracer.js
+ *
+ * Applied to every raw trace document before it is saved to the trace dir, and to every report
+ * before it is added to the zip. Walks the JSON and:
+ * - replaces header values ({ name, value } objects) whose name is in `headers`
+ * - replaces span tag / attribute values ({ key, value }) whose key is in `tagKeys`,
+ *   or is an "*.header.<name>" tag for a denied header
+ * - replaces values of denied query parameters (`queryParams`) inside any URL-looking string
+ * - masks `patterns` in every string: built-in "email", "jwt", "card" (Luhn-checked) or custom
+ *   { name, pattern, replacement } entries
+ * Splunk's JSON-encoded "spans" string is decoded, redacted and re-encoded.
+ * ID fields (traceID, spanId, correlationId, ...) are never pattern-masked.
+ *
+ * Settings (config key "redaction"): { enabled, headers, tagKeys, queryParams, patterns }
+ */
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+export const REDACTED = '[REDACTED]';
+
+export const DEFAULT_REDACTION_SETTINGS = {
+    enabled: true,
+    headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-auth-token', 'x-sf-token'],
+    tagKeys: ['db.statement', 'db.query.text', 'http.request.body', 'http.response.body', 'enduser.id', 'user.email'],
+    queryParams: ['token', 'access_token', 'id_token', 'refresh_token', 'api_key', 'apikey', 'password', 'secret', 'code', 'sig', 'signature'],
+    patterns: ['email', 'jwt', 'card']
+};
+
+const BUILTIN_PATTERNS = {
+    email: { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, replacement: '[EMAIL]' },
+    jwt: { pattern: /eyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, replacement: '[JWT]' },
+    // 13-19 digits, optionally grouped by spaces/dashes; only masked when the Luhn check passes
+    card: { pattern: /\b\d(?:[ -]?\d){12,18}\b/g, replacement: '[CARD]', validate: luhnValid }
+};
+
+// Keys whose string values are identifiers and must survive untouched
+const ID_KEY_PATTERN = /^(traceID|spanID|traceId|spanId|parentId|parentSpanId|correlationId|processID|taskArn)$/;
+
+// =================================================================
+// --- Redactor ---
+// =================================================================
+
+/**
+ * Returns { enabled, redact(value) -> { value, count }, describe() } for the given settings.
+ * With enabled: false, redact() returns the input unchanged.
+ */
+export function createRedactor(settings = {}) {
+    const options = { ...DEFAULT_REDACTION_SETTINGS, ...settings };
+    const deniedHeaders = new Set(options.headers.map(h => h.toLowerCase()));
+    const deniedTagKeys = new Set(options.tagKeys.map(k => k.toLowerCase()));
+    const deniedParams = options.queryParams.map(p => p.toLowerCase());
+    const patterns = options.patterns.map(resolvePattern);
+    const queryParamPattern = deniedParams.length > 0
+        ? new RegExp(`([?&](?:${deniedParams.map(escapeRegExp).join('|')})=)[^&#\\s"']*`, 'gi')
+        : null;
+
+    const isDeniedTag = (key) => {
+        const lower = key.toLowerCase();
+        if (deniedTagKeys.has(lower)) return true;
+        // OTel semantic conventions: http.request.header.<name> / http.response.header.<name>
+        const headerMatch = /\.header\.([^.]+)$/.exec(lower);
+        return headerMatch ? deniedHeaders.has(headerMatch[1].replace(/_/g, '-')) : false;
+    };
+
+    function redact(input) {
+        let count = 0;
+
+        const redactString = (str) => {
+            let out = str;
+            if (queryParamPattern) {
+                out = out.replace(queryParamPattern, (m, prefix) => { count++; return `${prefix}${REDACTED}`; });
+            }
+            for (const p of patterns) {
+                out = out.replace(p.pattern, (m) => {
+                    if (p.validate && !p.validate(m)) return m;
+                    count++;
+                    return p.replacement;
+                });
+            }
+            return out;
+        };
+
+        const redactedValue = (value) => {
+            count++;
+            // Keep OTLP's typed value wrapper so the document still parses
+            return value && typeof value === 'object' && !Array.isArray(value) ? { stringValue: REDACTED } : REDACTED;
+        };
+
+        const walk = (node, key) => {
+            if (typeof node === 'string') {
+                if (key && ID_KEY_PATTERN.test(key)) return node;
+                // Splunk returns spans as a JSON-encoded string
+                if (key === 'spans' && node.startsWith('[')) {
+                    try { return JSON.stringify(walk(JSON.parse(node))); } catch (e) { /* not JSON, treat as text */ }
+                }
+                return redactString(node);
+            }
+            if (Array.isArray(node)) return node.map(item => walk(item));
+            if (!node || typeof node !== 'object') return node;
+
+            // HAR-style header: { name, value }
+            if (typeof node.name === 'string' && 'value' in node && deniedHeaders.has(node.name.toLowerCase())) {
+                return { ...node, value: redactedValue(node.value) };
+            }
+            // Span tag / OTLP attribute: { key, value }
+            if (typeof node.key === 'string' && 'value' in node && isDeniedTag(node.key)) {
+                return { ...node, value: redactedValue(node.value) };
+            }
+
+            const out = {};
+            for (const [k, v] of Object.entries(node)) out[k] = walk(v, k);
+            return out;
+        };
+
+        if (!options.enabled) return { value: input, count: 0 };
+        const value = walk(input);
+        return { value, count };
+    }
+
+    /**
+     * Summary written into report metadata so readers know what was (and wasn't) masked.
+     */
+    function describe(count) {
+        return {
+            applied: options.enabled,
+            redactedValues: count,
+            headers: options.headers,
+            tagKeys: options.tagKeys,
+            queryParams: options.queryParams,
+            patterns: patterns.map(p => p.name)
+        };
+    }
+
+    return { enabled: options.enabled, redact, describe };
+}
+
+function resolvePattern(entry) {
+    if (typeof entry === 'string') {
+        const builtin = BUILTIN_PATTERNS[entry];
+        if (!builtin) throw new Error(`Unknown redaction pattern "${entry}" (built-ins: ${Object.keys(BUILTIN_PATTERNS).join(', ')}).`);
+        return { name: entry, ...builtin };
+    }
+    try {
+        return { name: entry.name || entry.pattern, pattern: new RegExp(entry.pattern, 'g'), replacement: entry.replacement ?? REDACTED };
+    } catch (err) {
+        throw new Error(`Invalid redaction pattern "${entry.pattern}": ${err.message}`);
+    }
+}
+
+function luhnValid(candidate) {
+    const digits = candidate.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -1,28 +1,53 @@
 // Config
-const DURATION_THRESHOLD_MS = 300;
-const TIMING_WARN_MS = 2000;
-const TIMING_CRIT_MS = 5000;
-const SPLUNK_UI_HOST = 'https://allwyn.signalfx.com/#';
+// Defaults for reports generated before uiHost/thresholds were written into metadata;
+// applyReportConfig() overrides them from the selected report.
+const DEFAULT_DURATION_THRESHOLD_MS = 300;
+const DEFAULT_TIMING_WARN_MS = 2000;
+const DEFAULT_TIMING_CRIT_MS = 5000;
+const DEFAULT_SPLUNK_UI_HOST = 'https://allwyn.signalfx.com/#';
+// Reports without metadata.links (see deep-links.js) only link the trace
+const DEFAULT_LINK_TEMPLATES = { trace: '{uiHost}/apm/traces/{traceId}', span: null, service: null, logs: null, logWindowPadSec: 60 };
+
+let DURATION_THRESHOLD_MS = DEFAULT_DURATION_THRESHOLD_MS;
+let TIMING_WARN_MS = DEFAULT_TIMING_WARN_MS;
+let TIMING_CRIT_MS = DEFAULT_TIMING_CRIT_MS;
+let SPLUNK_UI_HOST = DEFAULT_SPLUNK_UI_HOST;
+let LINK_TEMPLATES = DEFAULT_LINK_TEMPLATES;
 
 // State
 let currentDataItems = [];
 let currentMetadata = {};
 let availableReports = {}; 
 let cy = null; // Cytoscape instance
+let expandedWaterfalls = new Set(); // originalIndex of rows with the waterfall open
+let reportKeyPrefix = ''; // Prepended to report names while loading an extra file for comparison
+let summarySort = { key: 'count', dir: -1 };
+let summaryRows = []; // Last rendered summary rows, reused by the CSV export
+let runHistory = []; // Recorded runs (run-history.js), oldest first
+let selectedTrendKey = null;
+let timelineRange = null; // Zoomed [startMs, endMs] of the timeline, null = whole session
+let timelineView = [0, 0]; // Range the timeline last rendered
 
 // --- Data Loading & Management ---
 
 window.registerReportData = function(filename, data) {
+    const key = reportKeyPrefix + filename;
     if (data.data && data.metadata) {
-        availableReports[filename] = data;
+        availableReports[key] = data;
     } else {
-        availableReports[filename] = {
+        availableReports[key] = {
             metadata: { filename: filename },
             data: data
         };
     }
 };
 
+// run-history.js in a zip / standalone export, or /api/history in serve mode
+window.registerRunHistory = function(runs) {
+    runHistory = Array.isArray(runs) ? runs : [];
+    renderTrends();
+};
+
 function switchReport() {
     const selector = document.getElementById('reportSelector');
     const selectedFilename = selector.value;
@@ -32,17 +57,33 @@ function switchReport() {
     const report = availableReports[selectedFilename];
     currentDataItems = report.data || [];
     currentMetadata = report.metadata || {};
+    expandedWaterfalls = new Set();
+    timelineRange = null;
+    closeDetail();
+    applyReportConfig(currentMetadata);
 
     renderMetadata(currentMetadata);
     filterAndRender();
+    renderCacheAnalysis();
+    renderTimeline();
     renderNetworkGraph(); // Render graph for the new data
 }
 
+function applyReportConfig(metadata) {
+    const thresholds = metadata.thresholds || {};
+    DURATION_THRESHOLD_MS = thresholds.durationMs ?? DEFAULT_DURATION_THRESHOLD_MS;
+    TIMING_WARN_MS = thresholds.timingWarnMs ?? DEFAULT_TIMING_WARN_MS;
+    TIMING_CRIT_MS = thresholds.timingCritMs ?? DEFAULT_TIMING_CRIT_MS;
+    SPLUNK_UI_HOST = (metadata.uiHost || DEFAULT_SPLUNK_UI_HOST).replace(/\/+$/, '');
+    LINK_TEMPLATES = { ...DEFAULT_LINK_TEMPLATES, ...(metadata.links || {}) };
+}
+
 async function handleFileUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
 
     availableReports = {}; 
+    runHistory = [];
     document.getElementById('reportSelector').innerHTML = '';
     document.getElementById('reportSelector').style.display = 'none';
 
@@ -55,6 +96,28 @@ async function handleFileUpload(event) {
     }
 }
 
+// Adds a second ZIP/JS (e.g. another release) without clearing the loaded reports.
+// Its reports are prefixed with the file name so identically named HARs don't collide.
+async function handleCompareFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    reportKeyPrefix = `${file.name} :: `;
+    try {
+        if (file.name.endsWith('.zip')) {
+            await processZipFile(file);
+        } else {
+            const content = await file.text();
+            processSingleContent(file.name, content, true);
+            refreshReportSelectors(document.getElementById('reportSelector').value || Object.keys(availableReports).sort()[0]);
+        }
+    } finally {
+        reportKeyPrefix = '';
+        event.target.value = '';
+    }
+    renderCompare();
+}
+
 async function tryLoadDefaultZip() {
     try {
         const response = await fetch('report-data.zip');
@@ -87,19 +150,9 @@ async function processZipFile(file) {
         
         const filenames = Object.keys(availableReports).sort();
         if (filenames.length > 0) {
+            // When adding a comparison file, keep the current selection
             const selector = document.getElementById('reportSelector');
-            selector.innerHTML = '';
-            
-            filenames.forEach(name => {
-                const opt = document.createElement('option');
-                opt.value = name;
-                opt.textContent = name;
-                selector.appendChild(opt);
-            });
-            
-            selector.style.display = 'block';
-            selector.value = filenames[0];
-            switchReport(); 
+            refreshReportSelectors(reportKeyPrefix && selector.value ? selector.value : filenames[0]);
         } else {
             alert("No valid report files found in ZIP.");
         }
@@ -109,11 +162,36 @@ async function processZipFile(file) {
     }
 }
 
+function refreshReportSelectors(selectedFilename) {
+    const filenames = Object.keys(availableReports).sort();
+    const selector = document.getElementById('reportSelector');
+    selector.innerHTML = '';
+
+    filenames.forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        selector.appendChild(opt);
+    });
+
+    selector.style.display = 'block';
+    selector.value = selectedFilename;
+    populateCompareSelectors();
+    switchReport();
+    renderSummary();
+}
+
 function processSingleContent(filename, content, accumulate = false) {
     try {
         let jsonStr = content;
+        if (content.trim().startsWith('window.registerRunHistory')) {
+            // A comparison zip's history is not the primary report's
+            if (!reportKeyPrefix) new Function(content)();
+            return;
+        }
         if (content.trim().startsWith('window.registerReportData')) {
             new Function(content)();
+            if (!accumulate) refreshReportSelectors(Object.keys(availableReports).sort()[0]);
             return;
         } 
         if (content.trim().startsWith('const reportData =')) {
@@ -122,26 +200,157 @@ function processSingleContent(filename, content, accumulate = false) {
         }
         const data = JSON.parse(jsonStr);
         window.registerReportData(filename, data);
-        if (!accumulate) switchReport(); 
+        if (!accumulate) refreshReportSelectors(reportKeyPrefix + filename); 
     } catch (err) {
         console.error(`Failed to parse ${filename}`, err);
     }
 }
 
+// --- Server Mode (node api-tracer.js serve) ---
+
+// Returns true when the page is served by api-tracer.js, after showing the upload panel
+async function initServerMode() {
+    let config;
+    try {
+        const response = await fetch('api/config');
+        if (!response.ok) return false;
+        config = await response.json();
+    } catch (e) {
+        return false;
+    }
+
+    document.getElementById('serverPanel').style.display = 'flex';
+    document.getElementById('serverDomain').value = config.domainRegex || '';
+    const reports = await refreshServerReportList();
+    if (reports.length > 0) await window.loadServerReport(reports[0].file);
+    await loadServerHistory();
+    return true;
+}
+
+async function loadServerHistory() {
+    const response = await fetch('api/history');
+    if (response.ok) window.registerRunHistory(await response.json());
+}
+
+async function refreshServerReportList(selectedFile) {
+    const response = await fetch('api/reports');
+    const reports = response.ok ? await response.json() : [];
+    const selector = document.getElementById('serverReports');
+    selector.innerHTML = reports.length > 0 ? '' : '<option value="">No saved reports</option>';
+    reports.forEach(r => {
+        const opt = document.createElement('option');
+        opt.value = r.file;
+        opt.textContent = `${r.name} (${(r.size / 1024).toFixed(0)} KB)`;
+        selector.appendChild(opt);
+    });
+    selector.value = selectedFile || (reports[0] ? reports[0].file : '');
+    return reports;
+}
+
+window.loadServerReport = async function(file) {
+    if (!file) return;
+    const response = await fetch(`api/reports/${encodeURIComponent(file)}`);
+    if (!response.ok) {
+        alert(`Failed to load ${file} (HTTP ${response.status})`);
+        return;
+    }
+    processSingleContent(file, await response.text(), true);
+    refreshReportSelectors(file.replace(/\.report-data\.js$/, ''));
+};
+
+/**
+ * Uploads each selected HAR in turn and follows the NDJSON progress stream until the report is saved.
+ */
+window.runServerTraces = async function() {
+    const files = [...document.getElementById('serverHarInput').files];
+    const domain = document.getElementById('serverDomain').value.trim();
+    const progress = document.getElementById('serverProgress');
+    const button = document.getElementById('serverRunButton');
+    if (files.length === 0) {
+        alert('Choose at least one HAR file.');
+        return;
+    }
+
+    button.disabled = true;
+    progress.textContent = '';
+    try {
+        for (const file of files) {
+            const line = document.createElement('div');
+            progress.appendChild(line);
+            line.textContent = `${file.name}: uploading...`;
+
+            const response = await fetch(`api/traces?name=${encodeURIComponent(file.name)}&domain=${encodeURIComponent(domain)}`, { method: 'POST', body: file });
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                line.textContent = `${file.name}: ${body.error || `HTTP ${response.status}`}`;
+                continue;
+            }
+
+            const savedFile = await readTraceProgress(response, (event) => {
+                line.textContent = `${file.name}: ${describeProgress(event)}`;
+            });
+            if (savedFile) {
+                await refreshServerReportList(savedFile);
+                await window.loadServerReport(savedFile);
+                await loadServerHistory();
+            }
+        }
+    } finally {
+        button.disabled = false;
+    }
+};
+
+async function readTraceProgress(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let savedFile = null;
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines.filter(Boolean)) {
+            const event = JSON.parse(line);
+            if (event.type === 'done') savedFile = event.file;
+            onEvent(event);
+        }
+    }
+    return savedFile;
+}
+
+function describeProgress(event) {
+    if (event.type === 'done') return 'done';
+    if (event.type === 'error') return `failed - ${event.message}`;
+    if (event.phase === 'parsed') return `${event.requests} matching request(s), fetching traces...`;
+    if (event.phase === 'traces') return `traces ${event.done}/${event.total}`;
+    if (event.phase === 'polling') return `${event.missing} trace(s) not ingested yet, retrying in ${event.retryInSec}s...`;
+    return event.phase || event.type;
+}
+
 // --- View Switching ---
 
 window.switchView = function(viewName) {
     const tabs = document.querySelectorAll('.view-tab');
-    tabs.forEach(t => t.classList.remove('active'));
-    
-    // Toggle Active Tab Style
-    const activeTab = Array.from(tabs).find(t => t.textContent.includes(viewName === 'table' ? 'Table' : 'Graph'));
-    if (activeTab) activeTab.classList.add('active');
+    tabs.forEach(t => t.classList.toggle('active', t.dataset.view === viewName));
 
     document.getElementById('tableContainer').style.display = viewName === 'table' ? 'block' : 'none';
+    document.getElementById('compareContainer').style.display = viewName === 'compare' ? 'block' : 'none';
     const netContainer = document.getElementById('networkContainer');
     netContainer.style.display = viewName === 'network' ? 'block' : 'none';
 
+    document.getElementById('summaryContainer').style.display = viewName === 'summary' ? 'block' : 'none';
+    document.getElementById('cacheContainer').style.display = viewName === 'cache' ? 'block' : 'none';
+    document.getElementById('trendsContainer').style.display = viewName === 'trends' ? 'block' : 'none';
+    document.getElementById('timelineContainer').style.display = viewName === 'timeline' ? 'block' : 'none';
+
+    if (viewName === 'compare') renderCompare();
+    if (viewName === 'summary') renderSummary();
+    if (viewName === 'cache') renderCacheAnalysis();
+    if (viewName === 'trends') renderTrends();
+    if (viewName === 'timeline') renderTimeline();
+
     if (viewName === 'network') {
         if (cy) {
             cy.resize();
@@ -156,7 +365,11 @@ window.switchView = function(viewName) {
 
 function renderNetworkGraph() {
     const container = document.getElementById('networkContainer');
-    if (container.style.display === 'none') return;
+    if (container.style.display === 'none') {
+        // Drop any graph built for a previous report so switchView() rebuilds it
+        if (cy) { cy.destroy(); cy = null; }
+        return;
+    }
 
     // We want One Node Per Task (Service + TaskArn)
     // Key: "Service::TaskArn" (or "Service::null" if missing)
@@ -325,6 +538,32 @@ function renderMetadata(metadata) {
         <div class="meta-item"><strong>Start</strong><span>${fmtDate(metadata.traceStartTime)}</span></div>
         <div class="meta-item"><strong>End</strong><span>${fmtDate(metadata.traceEndTime)}</span></div>
     `;
+    if (metadata.traceCache && metadata.traceCache.mode !== 'off') {
+        const { mode, hits, misses } = metadata.traceCache;
+        container.innerHTML += `<div class="meta-item"><strong>Trace Cache</strong><span>${mode} (${hits} hit / ${misses} miss)</span></div>`;
+    }
+    if (metadata.redaction) {
+        const r = metadata.redaction;
+        const detail = r.applied ? `Headers: ${r.headers.join(', ')}\nTags: ${r.tagKeys.join(', ')}\nQuery params: ${r.queryParams.join(', ')}\nPatterns: ${r.patterns.join(', ')}` : '';
+        container.innerHTML += `<div class="meta-item" title="${detail}"><strong>Redaction</strong><span>${r.applied ? `Applied (${r.redactedValues} value(s))` : '<span class="cache-text-red">Disabled</span>'}</span></div>`;
+    }
+    if (metadata.requestsWithErrors) {
+        container.innerHTML += `<div class="meta-item"><strong>Errors</strong><span class="cache-text-red">${metadata.requestsWithErrors} request(s)</span></div>`;
+    }
+    if (metadata.requestsWithFindings) {
+        container.innerHTML += `<div class="meta-item"><strong>Findings</strong><span class="cache-text-orange">${metadata.requestsWithFindings} request(s)</span></div>`;
+    }
+    if (metadata.budgets) {
+        const b = metadata.budgets;
+        const detail = escapeAttr(b.violations.map(v => `#${v.row} ${v.method} ${v.sourceUrl}\n  ${v.messages.join('\n  ')}`).join('\n'));
+        container.innerHTML += `<div class="meta-item" title="${detail}"><strong>Budgets</strong><span>${b.failed > 0
+            ? `<span class="cache-text-red">${b.failed} of ${b.checked} check(s) failed</span>`
+            : `${b.checked} check(s) passed`}</span></div>`;
+    }
+    if (metadata.missingTraces && metadata.missingTraces.length > 0) {
+        const ids = metadata.missingTraces.join('\n');
+        container.innerHTML += `<div class="meta-item" title="${escapeAttr(ids)}"><strong>Not Ingested</strong><span class="cache-text-red">${metadata.missingTraces.length} trace(s)</span></div>`;
+    }
     container.style.display = 'grid';
 }
 
@@ -344,6 +583,125 @@ function highlightCache(text) {
     return text;
 }
 
+const CACHE_LABELS = {
+    'browser-hit': 'Browser cache',
+    'cdn-hit': 'CDN hit',
+    'revalidated': 'Revalidated',
+    'cacheable-missed': 'Cacheable, missed',
+    'uncacheable': 'Uncacheable'
+};
+
+function cacheBadge(cache) {
+    if (!cache) return '';
+    return `<span class="cache-badge cache-${cache.class}" title="${escapeAttr(cache.reasons.join('\n'))}">${CACHE_LABELS[cache.class] || cache.class}</span>`;
+}
+
+// --- Deep Links ---
+
+/**
+ * Fills a metadata.links template; null when the link is disabled or a placeholder has no value.
+ */
+function buildLink(kind, values) {
+    const template = LINK_TEMPLATES[kind];
+    if (!template) return null;
+    let missing = false;
+    const url = template.replace(/\{(\w+)\}/g, (m, name) => {
+        if (name === 'uiHost') return SPLUNK_UI_HOST;
+        const value = values[name];
+        if (value === undefined || value === null || value === '') missing = true;
+        return encodeURIComponent(value ?? '');
+    });
+    return missing ? null : url;
+}
+
+/**
+ * Log query window: the trace's span range, else the HAR request, widened by logWindowPadSec.
+ */
+function logLinkValues(item) {
+    const startedMs = Date.parse(item.startedDateTime);
+    const range = item.traceWindow || (Number.isNaN(startedMs) ? null : { startMs: startedMs, endMs: startedMs + (item.harResponseTime || 0) });
+    if (!range) return { traceId: item.correlationId };
+    const padMs = (LINK_TEMPLATES.logWindowPadSec || 0) * 1000;
+    const startMs = range.startMs - padMs;
+    const endMs = range.endMs + padMs;
+    return { traceId: item.correlationId, startMs, endMs, startIso: new Date(startMs).toISOString(), endIso: new Date(endMs).toISOString() };
+}
+
+function linkTag(href, label, title) {
+    return href ? `<a class="deep-link" href="${escapeAttr(href)}" target="_blank" title="${escapeAttr(title)}">${label}</a>` : '';
+}
+
+/**
+ * Span / service links for one traced call (or graph span).
+ */
+function renderSpanLinks(item, span) {
+    const links = [
+        linkTag(buildLink('span', { traceId: item.correlationId, spanId: span.spanId }), 'span', 'Open this span in the trace view'),
+        linkTag(buildLink('service', { service: span.service }), escapeAttr(span.service || ''), 'Open the service dashboard')
+    ].filter(Boolean);
+    return links.length > 0 ? `<span class="deep-links">${links.join('')}</span>` : '';
+}
+
+function escapeAttr(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+const FINDING_LABELS = {
+    'duplicate-call': 'Duplicate calls',
+    'n-plus-one': 'N+1',
+    'sequential-fanout': 'Sequential fan-out'
+};
+
+function renderFindingBadges(findings) {
+    if (!findings || findings.length === 0) return '';
+    const badges = findings.map(f =>
+        `<span class="finding-badge finding-${f.type}" title="${escapeAttr(`${f.message}\n${f.count} call(s), ${(f.totalDuration / 1000).toFixed(0)} ms total`)}">${FINDING_LABELS[f.type] || f.type} &times;${f.count}</span>`
+    );
+    return `<div class="findings">${badges.join('')}</div>`;
+}
+
+/**
+ * "Backend vs. overhead" bar: root span time against the rest of the HAR time (client, network, proxies).
+ */
+function renderLatencySplit(latency) {
+    if (!latency || latency.backendMs === null || !latency.harMs) return '';
+    const total = Math.max(latency.harMs, latency.backendMs, 1);
+    const backendPct = (latency.backendMs / total * 100).toFixed(1);
+    const overheadPct = (latency.overheadMs / total * 100).toFixed(1);
+    return `
+        <div class="latency-split" title="Backend: root span duration. Overhead: HAR time not covered by backend spans.">
+            <div class="latency-bar"><span class="latency-backend" style="width: ${backendPct}%;"></span><span class="latency-overhead" style="width: ${overheadPct}%;"></span></div>
+            <small>Backend ${latency.backendMs} ms &middot; Overhead ${latency.overheadMs} ms</small>
+        </div>`;
+}
+
+/**
+ * Coloured HTTP status badge; "ERR" for spans flagged as errors without a status code, "0" for
+ * browser requests that got no response.
+ */
+function statusBadge(status, error) {
+    if (status === 0) return '<span class="status-badge status-0" title="No response (blocked or aborted)">0</span>';
+    if (!status) return error ? '<span class="status-badge status-err" title="Span reported an error">ERR</span>' : '';
+    const cls = `status-${Math.floor(status / 100)}xx`;
+    return `<span class="status-badge ${cls}${error ? ' status-err' : ''}" title="${error ? 'Span reported an error' : `HTTP ${status}`}">${status}</span>`;
+}
+
+/**
+ * statusFilter: "" (all), "errors", or a status class digit ("2".."5") matched against the HAR status
+ * and every traced call.
+ */
+function matchesStatusFilter(item, statusFilter) {
+    if (!statusFilter) return true;
+    if (statusFilter === 'errors') return isErrorItem(item);
+    const statuses = [item.status, ...(item.tracedUrls || []).map(t => t.status)];
+    return statuses.some(s => s && String(Math.floor(s / 100)) === statusFilter);
+}
+
+// Leaf calls collapsed into one traced URL row (see parseApmResponse)
+function callsTag(trace) {
+    return trace.calls > 1 ? ` <span class="calls-tag" title="${trace.calls} calls in this trace">&times;${trace.calls}</span>` : '';
+}
+
 function getHarTimingClass(timeMs) {
     if (timeMs > TIMING_CRIT_MS) return 'timing-crit';
     if (timeMs > TIMING_WARN_MS) return 'timing-warn';
@@ -370,27 +728,39 @@ function renderTable(dataToRender) {
         const firstTraceMethod = (firstTrace.method || 'N/A').toUpperCase();
         const firstTraceDurationMs = firstTrace.duration / 1000;
         const firstTraceSlowClass = firstTraceDurationMs > DURATION_THRESHOLD_MS ? 'slow-trace' : '';
-        const firstTraceHtml = `<span class="method-tag method-${firstTraceMethod}">${firstTraceMethod}</span><span class="url-text">${firstTrace.url}</span> <span class="duration-tag">(${firstTraceDurationMs.toFixed(0)} ms)</span>`;
+        const firstTraceHtml = `${statusBadge(firstTrace.status, firstTrace.error)}<span class="method-tag method-${firstTraceMethod}">${firstTraceMethod}</span><span class="url-text">${firstTrace.url}</span> <span class="duration-tag">(${firstTraceDurationMs.toFixed(0)} ms)</span>${callsTag(firstTrace)}${renderSpanLinks(item, firstTrace)}`;
 
         const harTimeClass = getHarTimingClass(item.harResponseTime);
         const cacheHtml = highlightCache(item.cacheControl);
 
         htmlRows.push(`
-          <tr class="trace-group-master">
+          <tr class="trace-group-master" id="row-${item.originalIndex}">
             <td rowspan="${rowSpan}" class="row-number source-url-cell">${rowNum}</td>
             <td rowspan="${rowSpan}" class="source-url-cell">
-                <span class="method-tag method-${harMethod}">${harMethod}</span><span class="url-text">${item.sourceUrl}</span><br>
+                ${item.status !== undefined ? statusBadge(item.status, false) : ''}<span class="method-tag method-${harMethod}">${harMethod}</span><span class="url-text">${item.sourceUrl}</span><br>
+                ${item.urlTemplate && item.urlTemplate !== item.sourceUrl ? `<small class="url-template">${item.urlTemplate}</small><br>` : ''}
                 <small class="id-link">
-                    ID: <a href="${SPLUNK_UI_HOST}/apm/traces/${item.correlationId}" target="_blank">${item.correlationId}</a>
+                    ID: ${linkTag(buildLink('trace', { traceId: item.correlationId }), item.correlationId, 'Open the trace') || item.correlationId}
+                    ${item.traceIdStrategy ? `<span class="id-strategy">via ${item.traceIdStrategy}</span>` : ''}
+                    ${linkTag(buildLink('logs', logLinkValues(item)), 'logs', 'Logs for this trace ID around the request')}
                 </small><br>
                 <small class="har-timing ${harTimeClass}">
                     HAR Time: ${item.harResponseTime} ms
                 </small><br>
                 <small class="cache-control">
                     Cache: ${cacheHtml}
-                </small>
+                </small>${cacheBadge(item.cache)}<br>
+                ${renderLatencySplit(item.latency)}
+                ${item.budgetViolations && item.budgetViolations.length > 0
+                    ? `<span class="budget-badge" title="${escapeAttr(item.budgetViolations.join('\n'))}">Budget exceeded (${item.budgetViolations.length})</span><br>`
+                    : ''}
+                ${renderFindingBadges(item.findings)}
+                ${item.graphData && item.graphData.length > 0
+                    ? `<a href="#" class="waterfall-toggle" onclick="toggleWaterfall(${item.originalIndex}); return false;">${expandedWaterfalls.has(item.originalIndex) ? '&#9662; Hide' : '&#9656; Show'} waterfall</a>`
+                    : ''}
+                <a href="#" class="waterfall-toggle detail-toggle" onclick="openDetail(${item.originalIndex}); return false;">Details &#8250;</a>
             </td>
-            <td class="trace-url-cell ${firstTraceSlowClass}">${firstTraceHtml}</td>
+            <td class="trace-url-cell ${firstTraceSlowClass} ${firstTrace.critical ? 'critical-path' : ''}">${firstTraceHtml}</td>
           </tr>
         `);
 
@@ -399,11 +769,19 @@ function renderTable(dataToRender) {
             const m = (trace.method || 'N/A').toUpperCase();
             const dMs = trace.duration / 1000;
             const slow = dMs > DURATION_THRESHOLD_MS ? 'slow-trace' : '';
-            const html = `<span class="method-tag method-${m}">${m}</span><span class="url-text">${trace.url}</span> <span class="duration-tag">(${dMs.toFixed(0)} ms)</span>`;
+            const html = `${statusBadge(trace.status, trace.error)}<span class="method-tag method-${m}">${m}</span><span class="url-text">${trace.url}</span> <span class="duration-tag">(${dMs.toFixed(0)} ms)</span>${callsTag(trace)}${renderSpanLinks(item, trace)}`;
 
             htmlRows.push(`
               <tr class="trace-group-child">
-                <td class="trace-url-cell ${slow}">${html}</td>
+                <td class="trace-url-cell ${slow} ${trace.critical ? 'critical-path' : ''}">${html}</td>
+              </tr>
+            `);
+        }
+
+        if (expandedWaterfalls.has(item.originalIndex)) {
+            htmlRows.push(`
+              <tr class="waterfall-row">
+                <td colspan="3">${renderWaterfall(item)}</td>
               </tr>
             `);
         }
@@ -412,18 +790,190 @@ function renderTable(dataToRender) {
     tbody.innerHTML = htmlRows.join('');
 }
 
+// --- Waterfall ---
+
+/**
+ * [{ span, depth }] in depth-first order, so children sit directly under their parent.
+ */
+function orderSpansDepthFirst(spans) {
+    const byParent = new Map();
+    const spanIds = new Set(spans.map(s => s.spanId));
+    spans.forEach(s => {
+        const key = s.parentId && spanIds.has(s.parentId) ? s.parentId : null;
+        if (!byParent.has(key)) byParent.set(key, []);
+        byParent.get(key).push(s);
+    });
+    byParent.forEach(list => list.sort((a, b) => (a.startOffset || 0) - (b.startOffset || 0)));
+
+    const ordered = [];
+    const visit = (parentKey, depth) => {
+        (byParent.get(parentKey) || []).forEach(s => {
+            ordered.push({ span: s, depth });
+            visit(s.spanId, depth + 1);
+        });
+    };
+    visit(null, 0);
+    return ordered;
+}
+
+window.toggleWaterfall = function(index) {
+    if (expandedWaterfalls.has(index)) expandedWaterfalls.delete(index);
+    else expandedWaterfalls.add(index);
+    filterAndRender();
+};
+
+/**
+ * Gantt-style view of one request: HAR wait/receive on top, backend spans below in tree order.
+ * The trace root is aligned with the start of the HAR wait phase (server-side clocks are not
+ * comparable with the browser's), so the gap after the root span ends is network/gateway time.
+ */
+function renderWaterfall(item) {
+    const spans = item.graphData || [];
+    const timings = item.harTimings || { wait: item.harResponseTime || 0, receive: 0 };
+    const ordered = orderSpansDepthFirst(spans);
+
+    const spanEndMs = Math.max(0, ...spans.map(s => ((s.startOffset || 0) + (s.duration || 0)) / 1000));
+    const totalMs = Math.max(timings.wait + timings.receive, spanEndMs, 1);
+    const pct = (ms) => `${(ms / totalMs * 100).toFixed(2)}%`;
+
+    const bar = (label, title, startMs, durMs, cls, depth = 0) => `
+        <div class="wf-row">
+            <div class="wf-label" style="padding-left: ${depth * 12}px;" title="${escapeAttr(title)}">${label}</div>
+            <div class="wf-track">
+                <div class="wf-bar ${cls}" style="left: ${pct(startMs)}; width: ${pct(Math.max(durMs, totalMs * 0.002))};" title="${escapeAttr(title)}"></div>
+                <span class="wf-bar-text" style="left: ${pct(startMs + durMs)};">${durMs.toFixed(0)} ms</span>
+            </div>
+        </div>`;
+
+    const rows = [
+        bar('HAR wait (TTFB)', 'Browser waiting for first byte', 0, timings.wait, 'wf-har-wait'),
+        bar('HAR receive', 'Browser downloading the response', timings.wait, timings.receive, 'wf-har-receive')
+    ];
+    ordered.forEach(({ span, depth }) => {
+        const startMs = (span.startOffset || 0) / 1000;
+        const durMs = (span.duration || 0) / 1000;
+        const label = `<strong>${escapeAttr(span.service)}</strong> ${escapeAttr(span.operation || '')}`;
+        const slow = durMs > DURATION_THRESHOLD_MS ? 'wf-slow' : '';
+        const critical = span.critical ? 'wf-critical' : '';
+        const failed = span.error || span.status >= 500 ? 'wf-error' : '';
+        const title = `${span.url || span.operation || span.spanId}${span.status ? ` [HTTP ${span.status}]` : ''}${span.critical ? ` (critical path: ${(span.criticalTime / 1000).toFixed(0)} ms)` : ''}`;
+        rows.push(bar(label, title, startMs, durMs, `wf-span ${slow} ${critical} ${failed}`, depth));
+    });
+
+    return `<div class="waterfall"><div class="wf-scale"><span>0 ms</span><span>${totalMs.toFixed(0)} ms</span></div>${rows.join('')}</div>`;
+}
+
+// --- Detail Drawer ---
+
+const HAR_PHASES = ['blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive'];
+
+window.openDetail = function(index) {
+    const item = currentDataItems[index];
+    if (!item) return;
+    const method = (item.method || 'N/A').toUpperCase();
+    document.getElementById('detailTitle').innerHTML = `#${index + 1} <span class="method-tag method-${method}">${method}</span>${escapeAttr(item.sourceUrl)}`;
+    document.getElementById('detailBody').innerHTML = `
+        <div class="detail-column">${renderHarDetail(item)}</div>
+        <div class="detail-column">${renderTraceDetail(item)}</div>
+    `;
+    document.getElementById('detailDrawer').style.display = 'flex';
+};
+
+window.closeDetail = function() {
+    document.getElementById('detailDrawer').style.display = 'none';
+};
+
+function detailTable(rows) {
+    if (rows.length === 0) return '<p class="detail-empty">None recorded.</p>';
+    return `<table class="detail-table">${rows.map(([name, value]) =>
+        `<tr><th>${escapeAttr(name)}</th><td>${value === null || value === undefined || value === '' ? '—' : escapeAttr(value)}</td></tr>`
+    ).join('')}</table>`;
+}
+
+function renderHarDetail(item) {
+    const har = item.har;
+    const timings = item.harTimings || {};
+    const general = [
+        ['URL', item.sourceUrl],
+        ['Status', `${item.status ?? ''} ${har ? har.statusText : ''}`.trim()],
+        ['Started', item.startedDateTime ? new Date(item.startedDateTime).toLocaleString() : null],
+        ['HAR Time', `${item.harResponseTime} ms`]
+    ];
+    if (!har) {
+        return `<h3>HAR Entry</h3>${detailTable(general)}
+            <p class="detail-empty">Headers, sizes and initiator were not recorded (report generated by an older api-tracer.js).</p>`;
+    }
+
+    general.push(['HTTP Version', har.httpVersion], ['Server IP', har.serverIPAddress], ['Resource Type', har.resourceType], ['MIME Type', har.mimeType]);
+    const initiator = har.initiator
+        ? [['Type', har.initiator.type], ['Source', har.initiator.url ? `${har.initiator.url}${har.initiator.lineNumber ? `:${har.initiator.lineNumber}` : ''}` : null],
+            ...har.initiator.stack.map((frame, i) => [i === 0 ? 'Stack' : '', frame])]
+        : [];
+    const fmtBytes = (v) => (v === null || v === undefined ? null : `${v.toLocaleString()} B`);
+
+    return `
+        <h3>HAR Entry</h3>
+        ${detailTable(general)}
+        <h4>Timings (ms)</h4>
+        ${detailTable(HAR_PHASES.filter(p => timings[p] !== undefined).map(p => [p, timings[p] === null ? 'n/a' : String(timings[p])]))}
+        <h4>Sizes</h4>
+        ${detailTable([
+            ['Request headers', fmtBytes(har.sizes.requestHeaders)],
+            ['Request body', fmtBytes(har.sizes.requestBody)],
+            ['Response headers', fmtBytes(har.sizes.responseHeaders)],
+            ['Response body', fmtBytes(har.sizes.responseBody)],
+            ['Content (decoded)', fmtBytes(har.sizes.content)],
+            ['Transferred', fmtBytes(har.sizes.transfer)]
+        ])}
+        <h4>Initiator</h4>
+        ${detailTable(initiator)}
+        <h4>Request Headers</h4>
+        ${detailTable(har.requestHeaders.map(h => [h.name, h.value]))}
+        <h4>Response Headers</h4>
+        ${detailTable(har.responseHeaders.map(h => [h.name, h.value]))}
+    `;
+}
+
+function renderTraceDetail(item) {
+    const spans = orderSpansDepthFirst(item.graphData || []);
+    const spanHtml = spans.map(({ span, depth }) => {
+        const durMs = ((span.duration || 0) / 1000).toFixed(0);
+        const tags = (span.tags || []).map(t => [t.key, typeof t.value === 'object' ? JSON.stringify(t.value) : String(t.value)]);
+        return `
+            <details class="detail-span" style="margin-left: ${depth * 12}px;">
+                <summary>${statusBadge(span.status, span.error)}<strong>${escapeAttr(span.service)}</strong> ${escapeAttr(span.operation || '')}
+                    <span class="duration-tag">(${durMs} ms)</span>${span.critical ? ' <span class="calls-tag">critical</span>' : ''}${renderSpanLinks(item, span)}</summary>
+                ${detailTable([['Span ID', span.spanId], ['URL', span.url], ['Task', span.taskArn], ...tags])}
+            </details>`;
+    }).join('');
+
+    return `
+        <h3>Trace</h3>
+        ${detailTable([['Trace ID', item.correlationId], ['Found via', item.traceIdStrategy]])}
+        <p class="deep-links">${linkTag(buildLink('trace', { traceId: item.correlationId }), 'Open trace', 'Open the trace')}${linkTag(buildLink('logs', logLinkValues(item)), 'Logs', 'Logs for this trace ID around the request')}</p>
+        ${renderLatencySplit(item.latency)}
+        <h4>Spans (${spans.length})</h4>
+        ${spanHtml || '<p class="detail-empty">No spans for this trace.</p>'}
+    `;
+}
+
 function filterAndRender() {
     const sourceUrlFilter = document.getElementById('sourceUrlFilter').value.toLowerCase();
     const cacheFilter = document.getElementById('cacheFilter').value.toLowerCase();
     const domainFilter = document.getElementById('domainFilter').value.toLowerCase();
     const textFilter = document.getElementById('textFilter').value.toLowerCase();
+    const findingsOnly = document.getElementById('findingsOnly').checked;
+    const statusFilter = document.getElementById('statusFilter').value;
 
     const indexedData = currentDataItems.map((item, index) => ({ ...item, originalIndex: index }));
 
     const filtered = indexedData.map(item => {
-        if (sourceUrlFilter && !item.sourceUrl.toLowerCase().includes(sourceUrlFilter)) return null;
-        const itemCache = (item.cacheControl || '').toLowerCase();
+        const sourceText = `${item.sourceUrl} ${item.urlTemplate || ''}`.toLowerCase();
+        if (sourceUrlFilter && !sourceText.includes(sourceUrlFilter)) return null;
+        const itemCache = `${item.cacheControl || ''} ${item.cache ? CACHE_LABELS[item.cache.class] : ''}`.toLowerCase();
         if (cacheFilter && !itemCache.includes(cacheFilter)) return null;
+        if (findingsOnly && !(item.findings && item.findings.length > 0)) return null;
+        if (!matchesStatusFilter(item, statusFilter)) return null;
 
         const visibleTraces = item.tracedUrls.filter(t => {
             const txt = t.url.toLowerCase();
@@ -434,7 +984,7 @@ function filterAndRender() {
             if (m) domain = m[1];
             
             const domainMatch = domainFilter === '' || domain.includes(domainFilter);
-            const textMatch = textFilter === '' || txt.includes(textFilter);
+            const textMatch = textFilter === '' || txt.includes(textFilter) || (t.urlTemplate || '').toLowerCase().includes(textFilter);
 
             return domainMatch && textMatch;
         });
@@ -446,14 +996,788 @@ function filterAndRender() {
     renderTable(filtered);
 }
 
+// --- Compare View ---
+
+function populateCompareSelectors() {
+    const filenames = Object.keys(availableReports).sort();
+    ['compareBaseSelector', 'compareHeadSelector'].forEach((id, i) => {
+        const selector = document.getElementById(id);
+        const previous = selector.value;
+        selector.innerHTML = filenames.map(name => `<option value="${name}">${name}</option>`).join('');
+        // Default to the first two reports so the view is useful straight away
+        selector.value = filenames.includes(previous) ? previous : (filenames[i] || filenames[0] || '');
+    });
+}
+
+// Built-in segment rules of url-templates.js, first match wins (test/url-templates.test.js keeps the two in step)
+const FALLBACK_SEGMENT_RULES = [
+    { test: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, replacement: '{uuid}' },
+    { test: /^\d+$/, replacement: '{id}' },
+    { test: /^[0-9a-f]{16,}$/i, replacement: '{hash}' },
+    { test: /^(?=.*\d)(?=.*[A-Z])(?=.*[a-z])[A-Za-z0-9_-]{20,}$/, replacement: '{hash}' }
+];
+
+/**
+ * Template for rows without a urlTemplate (reports from before URL templating). Mirrors the default
+ * url-templates.js settings (built-in rules, query parameter names only), so old and new reports of the
+ * same endpoint get the same key. Prefers the urlTemplate written by api-tracer.js when present.
+ */
+function normaliseUrl(url) {
+    if (!url) return '';
+    if (url.startsWith('- ')) return url;
+    const [beforeQuery, query = ''] = url.trim().split('#')[0].split(/\?(.*)/s);
+    const origin = (/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i.exec(beforeQuery) || [''])[0];
+    const templatedPath = beforeQuery.slice(origin.length).split('/').map(segment => {
+        if (!segment || segment.startsWith('{')) return segment;
+        let decoded = segment;
+        try { decoded = decodeURIComponent(segment); } catch (e) {}
+        const rule = FALLBACK_SEGMENT_RULES.find(r => r.test.test(decoded));
+        return rule ? rule.replacement : segment;
+    }).join('/');
+    const names = [...new Set(query.split('&').filter(Boolean).map(pair => pair.split('=')[0]))].sort();
+    return `${origin.toLowerCase()}${templatedPath}${names.length > 0 ? `?${names.join('&')}` : ''}`;
+}
+
+function compareKey(item) {
+    return `${(item.method || 'N/A').toUpperCase()} ${item.urlTemplate || normaliseUrl(item.sourceUrl)}`;
+}
+
+const average = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+/**
+ * Groups a report's rows by compareKey():
+ * key -> { count, harTimes[], cacheControls Set, downstream Map(method+url -> durations[] in ms) }
+ */
+function summariseForCompare(items) {
+    const summary = new Map();
+    items.forEach(item => {
+        const key = compareKey(item);
+        if (!summary.has(key)) summary.set(key, { count: 0, harTimes: [], cacheControls: new Set(), downstream: new Map() });
+        const entry = summary.get(key);
+        entry.count++;
+        entry.harTimes.push(item.harResponseTime || 0);
+        entry.cacheControls.add(item.cacheControl || 'N/A');
+        (item.tracedUrls || []).forEach(t => {
+            if (t.url.startsWith('- ')) return;
+            const dKey = `${(t.method || 'N/A').toUpperCase()} ${t.urlTemplate || normaliseUrl(t.url)}`;
+            if (!entry.downstream.has(dKey)) entry.downstream.set(dKey, []);
+            entry.downstream.get(dKey).push((t.duration || 0) / 1000);
+        });
+    });
+    return summary;
+}
+
+function formatDelta(before, after) {
+    const delta = after - before;
+    if (Math.round(delta) === 0) return '<span class="delta-same">±0</span>';
+    const cls = delta > 0 ? 'delta-up' : 'delta-down';
+    return `<span class="${cls}">${delta > 0 ? '+' : ''}${delta.toFixed(0)} ms</span>`;
+}
+
+function renderCompare() {
+    const container = document.getElementById('compareBody');
+    if (!container) return;
+    const base = availableReports[document.getElementById('compareBaseSelector').value];
+    const head = availableReports[document.getElementById('compareHeadSelector').value];
+    const onlyRegressions = document.getElementById('compareRegressionsOnly').checked;
+
+    if (!base || !head) {
+        container.innerHTML = '<tr><td colspan="4" style="text-align:center; padding: 20px;">Load at least one report, then pick a baseline and a candidate.</td></tr>';
+        return;
+    }
+
+    const baseSummary = summariseForCompare(base.data || []);
+    const headSummary = summariseForCompare(head.data || []);
+    const keys = [...new Set([...baseSummary.keys(), ...headSummary.keys()])].sort();
+    const rows = [];
+
+    keys.forEach(key => {
+        const a = baseSummary.get(key);
+        const b = headSummary.get(key);
+        const [method, ...urlParts] = key.split(' ');
+        const urlHtml = `<span class="method-tag method-${method}">${method}</span><span class="url-text">${urlParts.join(' ')}</span>`;
+
+        if (!a || !b) {
+            if (onlyRegressions) return;
+            const label = a ? '<span class="compare-badge compare-removed">Removed</span>' : '<span class="compare-badge compare-new">New</span>';
+            rows.push(`<tr><td>${urlHtml} ${label}</td><td colspan="3">${a ? a.count : b.count} call(s) only in ${a ? 'baseline' : 'candidate'}</td></tr>`);
+            return;
+        }
+
+        const harBefore = average(a.harTimes);
+        const harAfter = average(b.harTimes);
+        // A regression is a slowdown that lands above the highlighting thresholds
+        const harRegressed = harAfter > harBefore && harAfter > TIMING_WARN_MS;
+        const harClass = harRegressed ? getHarTimingClass(harAfter) : '';
+
+        const downstreamKeys = [...new Set([...a.downstream.keys(), ...b.downstream.keys()])].sort();
+        let downstreamRegressed = false;
+        const downstreamHtml = downstreamKeys.map(dKey => {
+            const before = a.downstream.get(dKey);
+            const after = b.downstream.get(dKey);
+            if (!before) return `<div><span class="compare-badge compare-new">New</span> ${dKey} (${average(after).toFixed(0)} ms)</div>`;
+            if (!after) return `<div><span class="compare-badge compare-removed">Removed</span> <s>${dKey}</s></div>`;
+            const dBefore = average(before);
+            const dAfter = average(after);
+            const regressed = dAfter > dBefore && dAfter > DURATION_THRESHOLD_MS;
+            if (regressed) downstreamRegressed = true;
+            return `<div class="${regressed ? 'slow-trace' : ''}">${dKey}: ${dBefore.toFixed(0)} → ${dAfter.toFixed(0)} ms ${formatDelta(dBefore, dAfter)}</div>`;
+        }).join('');
+
+        const cacheBefore = [...a.cacheControls].join(', ');
+        const cacheAfter = [...b.cacheControls].join(', ');
+        const cacheHtml = cacheBefore === cacheAfter
+            ? highlightCache(cacheAfter)
+            : `<s>${cacheBefore}</s> → ${highlightCache(cacheAfter)}`;
+
+        if (onlyRegressions && !harRegressed && !downstreamRegressed) return;
+
+        rows.push(`
+          <tr>
+            <td>${urlHtml}<br><small class="id-link">Calls: ${a.count} → ${b.count}</small></td>
+            <td><span class="har-timing ${harClass}">${harBefore.toFixed(0)} → ${harAfter.toFixed(0)} ms</span><br>${formatDelta(harBefore, harAfter)}</td>
+            <td class="compare-downstream">${downstreamHtml || 'N/A'}</td>
+            <td class="cache-control">${cacheHtml}</td>
+          </tr>
+        `);
+    });
+
+    container.innerHTML = rows.length > 0
+        ? rows.join('')
+        : '<tr><td colspan="4" style="text-align:center; padding: 20px;">No differences match the current options.</td></tr>';
+}
+
+window.renderCompare = renderCompare;
+
+// --- Endpoint Summary View ---
+
+const SUMMARY_COLUMNS = [
+    { key: 'endpoint', label: 'Endpoint' },
+    { key: 'count', label: 'Calls' },
+    { key: 'errors', label: 'Errors' },
+    { key: 'harP50', label: 'HAR p50' },
+    { key: 'harP90', label: 'HAR p90' },
+    { key: 'harP99', label: 'HAR p99' },
+    { key: 'harMax', label: 'HAR max' },
+    { key: 'backendP50', label: 'Backend p50' },
+    { key: 'backendP90', label: 'Backend p90' },
+    { key: 'backendP99', label: 'Backend p99' },
+    { key: 'backendMax', label: 'Backend max' },
+    { key: 'cache', label: 'Cache-Control' }
+];
+
+/**
+ * Nearest-rank percentile of an unsorted list; null when empty.
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+function isPlaceholderTrace(trace) {
+    return trace.url.startsWith('- ');
+}
+
+function isErrorTrace(trace) {
+    return trace.error === true || trace.status >= 400 || (isPlaceholderTrace(trace) && /error/i.test(trace.url));
+}
+
+function isErrorItem(item) {
+    return item.status >= 400 || (item.tracedUrls || []).some(isErrorTrace);
+}
+
+/**
+ * End-to-end backend time for a request: the root span's duration, else the longest traced call (ms).
+ * Spans whose parent is missing from the trace count as roots, as in critical-path.js.
+ */
+function getBackendDurationMs(item) {
+    const spans = item.graphData || [];
+    const spanIds = new Set(spans.map(s => s.spanId));
+    const roots = spans.filter(s => !s.parentId || !spanIds.has(s.parentId));
+    if (roots.length > 0) return Math.max(...roots.map(s => s.duration || 0)) / 1000;
+    const traced = (item.tracedUrls || []).filter(t => !isPlaceholderTrace(t));
+    return traced.length > 0 ? Math.max(...traced.map(t => t.duration || 0)) / 1000 : null;
+}
+
+/**
+ * Aggregates every loaded report, grouped by templated source endpoint or by downstream traced URL.
+ */
+function buildSummaryRows(groupBy) {
+    const groups = new Map();
+    const getGroup = (key) => {
+        if (!groups.has(key)) groups.set(key, { endpoint: key, count: 0, errors: 0, harTimes: [], backendTimes: [], cache: new Map() });
+        return groups.get(key);
+    };
+
+    Object.values(availableReports).forEach(report => {
+        (report.data || []).forEach(item => {
+            if (groupBy === 'source') {
+                const group = getGroup(compareKey(item));
+                group.count++;
+                if (isErrorItem(item)) group.errors++;
+                group.harTimes.push(item.harResponseTime || 0);
+                const backendMs = getBackendDurationMs(item);
+                if (backendMs !== null) group.backendTimes.push(backendMs);
+                const cc = item.cacheControl || 'N/A';
+                group.cache.set(cc, (group.cache.get(cc) || 0) + 1);
+            } else {
+                (item.tracedUrls || []).filter(t => !isPlaceholderTrace(t)).forEach(t => {
+                    const group = getGroup(`${(t.method || 'N/A').toUpperCase()} ${t.urlTemplate || normaliseUrl(t.url)}`);
+                    group.count++;
+                    if (isErrorTrace(t)) group.errors++;
+                    group.backendTimes.push((t.duration || 0) / 1000);
+                });
+            }
+        });
+    });
+
+    return [...groups.values()].map(g => ({
+        endpoint: g.endpoint,
+        count: g.count,
+        errors: g.errors,
+        harP50: percentile(g.harTimes, 50),
+        harP90: percentile(g.harTimes, 90),
+        harP99: percentile(g.harTimes, 99),
+        harMax: g.harTimes.length > 0 ? Math.max(...g.harTimes) : null,
+        backendP50: percentile(g.backendTimes, 50),
+        backendP90: percentile(g.backendTimes, 90),
+        backendP99: percentile(g.backendTimes, 99),
+        backendMax: g.backendTimes.length > 0 ? Math.max(...g.backendTimes) : null,
+        cache: [...g.cache.entries()].sort((a, b) => b[1] - a[1]).map(([cc, n]) => `${cc} (${n})`).join('; ')
+    }));
+}
+
+function renderSummary() {
+    const tbody = document.getElementById('summaryBody');
+    const container = document.getElementById('summaryContainer');
+    if (!tbody || container.style.display === 'none') return;
+
+    const groupBy = document.getElementById('summaryGroupBy').value;
+    summaryRows = buildSummaryRows(groupBy);
+
+    const { key, dir } = summarySort;
+    summaryRows.sort((a, b) => {
+        const va = a[key], vb = b[key];
+        if (va === vb) return 0;
+        if (va === null) return 1;
+        if (vb === null) return -1;
+        return (va < vb ? -1 : 1) * dir;
+    });
+
+    document.getElementById('summaryHead').innerHTML = SUMMARY_COLUMNS.map(col =>
+        `<th class="sortable" onclick="sortSummary('${col.key}')">${col.label}${col.key === key ? (dir > 0 ? ' &#9650;' : ' &#9660;') : ''}</th>`
+    ).join('');
+
+    if (summaryRows.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="${SUMMARY_COLUMNS.length}" style="text-align:center; padding: 20px;">No reports loaded.</td></tr>`;
+        return;
+    }
+
+    const ms = (v) => v === null ? '—' : v.toFixed(0);
+    tbody.innerHTML = summaryRows.map(row => {
+        const [method, ...urlParts] = row.endpoint.split(' ');
+        return `
+          <tr>
+            <td><span class="method-tag method-${method.replace('/', '-')}">${method}</span><span class="url-text">${urlParts.join(' ')}</span></td>
+            <td>${row.count}</td>
+            <td class="${row.errors > 0 ? 'cache-text-red' : ''}">${row.errors}</td>
+            <td class="num">${ms(row.harP50)}</td>
+            <td class="num">${ms(row.harP90)}</td>
+            <td class="num"><span class="${row.harP99 !== null && getHarTimingClass(row.harP99) ? `har-timing ${getHarTimingClass(row.harP99)}` : ''}">${ms(row.harP99)}</span></td>
+            <td class="num">${ms(row.harMax)}</td>
+            <td class="num">${ms(row.backendP50)}</td>
+            <td class="num">${ms(row.backendP90)}</td>
+            <td class="num ${row.backendP99 > DURATION_THRESHOLD_MS ? 'slow-trace' : ''}">${ms(row.backendP99)}</td>
+            <td class="num">${ms(row.backendMax)}</td>
+            <td class="cache-control">${row.cache || '—'}</td>
+          </tr>
+        `;
+    }).join('');
+}
+
+window.sortSummary = function(key) {
+    summarySort = { key, dir: summarySort.key === key ? -summarySort.dir : (key === 'endpoint' ? 1 : -1) };
+    renderSummary();
+};
+
+window.exportSummaryCsv = function() {
+    const escapeCsv = (v) => {
+        const str = v === null || v === undefined ? '' : String(typeof v === 'number' ? Math.round(v) : v);
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const lines = [SUMMARY_COLUMNS.map(c => escapeCsv(c.label)).join(',')];
+    summaryRows.forEach(row => lines.push(SUMMARY_COLUMNS.map(c => escapeCsv(row[c.key])).join(',')));
+
+    const blob = new Blob([lines.join('\n')], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `endpoint-summary-${document.getElementById('summaryGroupBy').value}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+};
+
+window.renderSummary = renderSummary;
+
+// --- Cache Analysis ---
+
+/**
+ * Backend time a fresh cached copy would have saved: root span duration, else the HAR time (ms).
+ */
+function getCacheSavingMs(item) {
+    if (!item.cache || !item.cache.avoidable) return 0;
+    const backendMs = getBackendDurationMs(item);
+    return backendMs !== null ? backendMs : (item.harResponseTime || 0);
+}
+
+function renderCacheAnalysis() {
+    const container = document.getElementById('cacheContainer');
+    if (container.style.display === 'none') return;
+    const tbody = document.getElementById('cacheBody');
+    const analysed = currentDataItems.filter(item => item.cache);
+
+    if (analysed.length === 0) {
+        document.getElementById('cacheOverview').innerHTML = '';
+        document.getElementById('cacheSaving').textContent = '';
+        tbody.innerHTML = `<tr><td colspan="8" style="text-align:center; padding: 20px;">${currentDataItems.length > 0
+            ? 'This report has no cache analysis (generated by an older api-tracer.js).'
+            : 'No report loaded.'}</td></tr>`;
+        return;
+    }
+
+    const byClass = {};
+    analysed.forEach(item => { byClass[item.cache.class] = (byClass[item.cache.class] || 0) + 1; });
+    document.getElementById('cacheOverview').innerHTML = Object.keys(CACHE_LABELS).map(cls =>
+        `<div class="meta-item"><strong>${CACHE_LABELS[cls]}</strong><span>${byClass[cls] || 0} request(s)</span></div>`
+    ).join('');
+
+    const totalSaving = analysed.reduce((sum, item) => sum + getCacheSavingMs(item), 0);
+    const totalBackend = analysed.reduce((sum, item) => sum + (getBackendDurationMs(item) ?? item.harResponseTime ?? 0), 0);
+    const avoidable = analysed.filter(item => item.cache.avoidable).length;
+    document.getElementById('cacheSaving').innerHTML = totalSaving > 0
+        ? `Better caching could have saved an estimated <strong>${totalSaving.toFixed(0)} ms</strong> of backend time (${(totalSaving / Math.max(totalBackend, 1) * 100).toFixed(0)}% of ${totalBackend.toFixed(0)} ms) across ${avoidable} avoidable request(s).`
+        : 'No repeated or revalidated requests: nothing a longer-lived cache would have saved in this HAR.';
+
+    const groups = new Map();
+    analysed.forEach(item => {
+        const key = compareKey(item);
+        if (!groups.has(key)) groups.set(key, { endpoint: key, count: 0, hits: [], revalidated: [], missed: [], uncacheable: [], saving: 0, headers: new Map() });
+        const group = groups.get(key);
+        group.count++;
+        const bucket = { 'browser-hit': 'hits', 'cdn-hit': 'hits', 'revalidated': 'revalidated', 'cacheable-missed': 'missed' }[item.cache.class] || 'uncacheable';
+        group[bucket].push(item.cache.reasons.join('; '));
+        group.saving += getCacheSavingMs(item);
+        ['cacheControl', 'etag', 'lastModified', 'vary', 'cdn'].forEach(name => {
+            const value = item.cache.headers[name];
+            if (value === undefined) return;
+            if (!group.headers.has(name)) group.headers.set(name, new Set());
+            group.headers.get(name).add(value);
+        });
+    });
+
+    const HEADER_LABELS = { cacheControl: 'Cache-Control', etag: 'ETag', lastModified: 'Last-Modified', vary: 'Vary', cdn: 'CDN' };
+    const countCell = (reasons, className) => {
+        if (reasons.length === 0) return '<td class="num">0</td>';
+        const detail = [...new Set(reasons)].join('\n');
+        return `<td class="num ${className}" title="${escapeAttr(detail)}">${reasons.length}</td>`;
+    };
+
+    tbody.innerHTML = [...groups.values()]
+        .sort((a, b) => b.saving - a.saving || b.missed.length - a.missed.length || b.count - a.count)
+        .map(group => {
+            const [method, ...urlParts] = group.endpoint.split(' ');
+            const headers = [...group.headers.entries()].map(([name, values]) => {
+                // ETag / Last-Modified differ per resource; only whether they are present matters here
+                const shown = name === 'etag' || name === 'lastModified' ? `present (${values.size} value(s))` : [...values].join(' | ');
+                return `<div>${HEADER_LABELS[name]}: ${escapeAttr(shown)}</div>`;
+            }).join('');
+            return `
+              <tr>
+                <td><span class="method-tag method-${method.replace('/', '-')}">${method}</span><span class="url-text">${urlParts.join(' ')}</span></td>
+                <td class="num">${group.count}</td>
+                ${countCell(group.hits, '')}
+                ${countCell(group.revalidated, '')}
+                ${countCell(group.missed, 'cache-text-orange')}
+                ${countCell(group.uncacheable, '')}
+                <td class="num ${group.saving > 0 ? 'cache-text-red' : ''}">${group.saving.toFixed(0)}</td>
+                <td class="cache-headers">${headers || '—'}</td>
+              </tr>
+            `;
+        }).join('');
+}
+
+// --- Timeline ---
+
+const TIMELINE_LANE_HEIGHT = 18;
+const TIMELINE_IDLE_MS = 200; // No request in flight for at least this long is shaded as idle
+const TIMELINE_PRE_WAIT_PHASES = ['blocked', 'dns', 'connect', 'ssl', 'send'];
+
+/**
+ * Every HAR request on one time axis (ms since the first request started), packed into lanes:
+ * a request goes into the first lane that is free when it starts, so the lane count is the peak concurrency.
+ */
+function buildTimelineBars(items) {
+    const bars = items
+        .map((item, index) => ({ item, index, start: Date.parse(item.startedDateTime), duration: timelinePhases(item).totalMs }))
+        .filter(bar => !Number.isNaN(bar.start))
+        .sort((a, b) => a.start - b.start);
+    if (bars.length === 0) return { bars, lanes: 0, sessionMs: 0 };
+
+    const origin = bars[0].start;
+    const laneEnds = [];
+    bars.forEach(bar => {
+        bar.start -= origin;
+        bar.end = bar.start + bar.duration;
+        let lane = laneEnds.findIndex(end => end <= bar.start);
+        if (lane === -1) lane = laneEnds.length;
+        laneEnds[lane] = bar.end;
+        bar.lane = lane;
+    });
+    return { bars, lanes: laneEnds.length, sessionMs: Math.max(1, ...bars.map(b => b.end)) };
+}
+
+/**
+ * Stretches where no request was in flight (bars sorted by start).
+ */
+function findIdleGaps(bars) {
+    const gaps = [];
+    let busyUntil = 0;
+    bars.forEach(bar => {
+        if (bar.start - busyUntil >= TIMELINE_IDLE_MS) gaps.push({ start: busyUntil, end: bar.start });
+        busyUntil = Math.max(busyUntil, bar.end);
+    });
+    return gaps;
+}
+
+/**
+ * A request's HAR phases (ms): leadMs = blocked + dns + connect + ssl + send (missing or -1 phases
+ * count as 0; reports from before these were kept have none), then wait and receive (harResponseTime).
+ */
+function timelinePhases(item) {
+    const timings = item.harTimings || { wait: item.harResponseTime || 0, receive: 0 };
+    const leadMs = TIMELINE_PRE_WAIT_PHASES.reduce((sum, phase) => sum + Math.max(0, timings[phase] || 0), 0);
+    const waitMs = Math.max(0, timings.wait || 0);
+    const receiveMs = Math.max(0, timings.receive || 0);
+    return { leadMs, waitMs, receiveMs, totalMs: leadMs + waitMs + receiveMs };
+}
+
+/**
+ * Backend vs. client parts of one bar. As in the waterfall, the root span starts with the HAR wait
+ * phase and can only cover it; queueing, connection setup, the rest of the wait (network, proxies)
+ * and the download are client time.
+ */
+function timelineSegments(item) {
+    const { leadMs, waitMs, receiveMs, totalMs } = timelinePhases(item);
+    const backendMs = item.latency ? item.latency.backendMs : null;
+    if (backendMs === null || backendMs === undefined) return [{ kind: 'untraced', ms: totalMs }];
+
+    const backend = Math.min(backendMs, waitMs);
+    return [
+        { kind: 'client', ms: leadMs },
+        { kind: 'backend', ms: backend },
+        { kind: 'client', ms: waitMs - backend + receiveMs }
+    ].filter(s => s.ms > 0);
+}
+
+function formatTimelineMs(ms) {
+    return ms >= 10000 ? `${(ms / 1000).toFixed(1)} s` : `${ms.toFixed(0)} ms`;
+}
+
+function renderTimeline() {
+    const container = document.getElementById('timelineContainer');
+    if (container.style.display === 'none') return;
+    const lanesEl = document.getElementById('timelineLanes');
+    const axisEl = document.getElementById('timelineAxis');
+    const summaryEl = document.getElementById('timelineSummary');
+
+    const { bars, lanes, sessionMs } = buildTimelineBars(currentDataItems);
+    if (bars.length === 0) {
+        summaryEl.textContent = '';
+        axisEl.innerHTML = '';
+        lanesEl.style.height = 'auto';
+        lanesEl.innerHTML = `<p class="timeline-empty">${currentDataItems.length > 0 ? 'No request in this report has a start time.' : 'No report loaded.'}</p>`;
+        return;
+    }
+
+    timelineView = timelineRange || [0, sessionMs];
+    const [viewStart, viewEnd] = timelineView;
+    const viewMs = Math.max(viewEnd - viewStart, 1);
+    const left = (ms) => `${((ms - viewStart) / viewMs * 100).toFixed(3)}%`;
+    const width = (ms) => `${(ms / viewMs * 100).toFixed(3)}%`;
+
+    const gaps = findIdleGaps(bars);
+    const idleMs = gaps.reduce((sum, g) => sum + g.end - g.start, 0);
+    summaryEl.textContent = `${bars.length} requests over ${formatTimelineMs(sessionMs)} · peak concurrency ${lanes} · idle ${formatTimelineMs(idleMs)} in ${gaps.length} gap(s) of ${TIMELINE_IDLE_MS} ms or more`
+        + (timelineRange ? ` · showing +${formatTimelineMs(viewStart)} to +${formatTimelineMs(viewEnd)}` : '');
+
+    axisEl.innerHTML = [0, 0.25, 0.5, 0.75, 1].map(f =>
+        `<span style="left: ${(f * 100).toFixed(0)}%;">+${formatTimelineMs(viewStart + f * viewMs)}</span>`).join('');
+
+    const idleHtml = gaps.filter(g => g.end >= viewStart && g.start <= viewEnd).map(g =>
+        `<div class="tl-idle" style="left: ${left(g.start)}; width: ${width(g.end - g.start)};" title="Idle for ${formatTimelineMs(g.end - g.start)}"></div>`);
+
+    const barHtml = bars.filter(b => b.end >= viewStart && b.start <= viewEnd).map(bar => {
+        const item = bar.item;
+        const method = (item.method || 'N/A').toUpperCase();
+        const segments = timelineSegments(item);
+        const backendMs = segments.filter(s => s.kind === 'backend').reduce((sum, s) => sum + s.ms, 0);
+        const latency = item.latency && item.latency.backendMs !== null
+            ? `Backend ${backendMs} ms · Client ${Math.round(bar.duration - backendMs)} ms`
+            : 'No trace data';
+        const lead = timelinePhases(item).leadMs;
+        const title = `#${bar.index + 1} ${method} ${item.sourceUrl}\n${item.status !== undefined ? `Status ${item.status} · ` : ''}Start +${formatTimelineMs(bar.start)} · Total ${Math.round(bar.duration)} ms`
+            + `${lead > 0 ? ` (queueing/connection ${Math.round(lead)} ms, wait + receive ${item.harResponseTime} ms)` : ''}\n${latency}`;
+        return `
+            <div class="tl-bar" style="left: ${left(bar.start)}; width: ${width(bar.duration)}; top: ${bar.lane * TIMELINE_LANE_HEIGHT + 2}px;"
+                 title="${escapeAttr(title)}" onclick="focusTimelineRow(${bar.index})">${segments.map(s =>
+                    `<span class="tl-${s.kind}" style="flex: ${s.ms} 0 0;"></span>`).join('')}</div>`;
+    });
+
+    lanesEl.style.height = `${lanes * TIMELINE_LANE_HEIGHT + 4}px`;
+    lanesEl.innerHTML = idleHtml.join('') + barHtml.join('');
+}
+
+window.resetTimelineZoom = function() {
+    timelineRange = null;
+    renderTimeline();
+};
+
+/**
+ * Jumps to the request's row in the trace table (the detail drawer if the table filters hide it).
+ */
+window.focusTimelineRow = function(index) {
+    switchView('table');
+    const row = document.getElementById(`row-${index}`);
+    if (!row) {
+        openDetail(index);
+        return;
+    }
+    row.scrollIntoView({ block: 'center' });
+    row.classList.add('row-flash');
+    setTimeout(() => row.classList.remove('row-flash'), 2000);
+};
+
+/**
+ * Drag across the lanes to zoom into that time range; a plain click falls through to the bar.
+ */
+function initTimelineBrush() {
+    const track = document.getElementById('timelineTrack');
+    const brush = document.getElementById('timelineBrush');
+    let anchor = null;
+    const position = (e) => {
+        const rect = track.getBoundingClientRect();
+        return Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    };
+
+    track.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return;
+        anchor = position(e);
+        brush.style.left = `${anchor * 100}%`;
+        brush.style.width = '0';
+        brush.style.display = 'block';
+        e.preventDefault();
+    });
+    document.addEventListener('mousemove', (e) => {
+        if (anchor === null) return;
+        const x = position(e);
+        brush.style.left = `${Math.min(x, anchor) * 100}%`;
+        brush.style.width = `${Math.abs(x - anchor) * 100}%`;
+    });
+    document.addEventListener('mouseup', (e) => {
+        if (anchor === null) return;
+        const x = position(e);
+        const from = Math.min(x, anchor);
+        const to = Math.max(x, anchor);
+        anchor = null;
+        brush.style.display = 'none';
+        if (to - from < 0.005) return;
+        const [viewStart, viewEnd] = timelineView;
+        timelineRange = [viewStart + from * (viewEnd - viewStart), viewStart + to * (viewEnd - viewStart)];
+        renderTimeline();
+    });
+}
+
+// --- Trends (run history) ---
+
+const TREND_SERIES = [
+    { key: 'p50', color: '#009e60' },
+    { key: 'p90', color: '#f0a300' },
+    { key: 'p99', color: '#d32f2f' }
+];
+
+function runLabel(run) {
+    return run.label || new Date(run.recordedAt).toLocaleString();
+}
+
+function trendRuns() {
+    const environment = document.getElementById('trendEnvironment').value;
+    return runHistory.filter(run => !environment || (run.environment || '') === environment);
+}
+
+function populateTrendEnvironments() {
+    const selector = document.getElementById('trendEnvironment');
+    const current = selector.value;
+    const environments = [...new Set(runHistory.map(run => run.environment || ''))].sort();
+    selector.innerHTML = '<option value="">All environments</option>' +
+        environments.filter(Boolean).map(env => `<option value="${escapeAttr(env)}">${escapeAttr(env)}</option>`).join('');
+    selector.value = environments.includes(current) ? current : '';
+}
+
+/**
+ * One row per endpoint: its value of `measure.stat` in each run (null where the run didn't call it).
+ */
+function buildTrendRows(runs, kind, measure, stat) {
+    const rows = new Map();
+    runs.forEach((run, i) => {
+        (run.endpoints || []).filter(e => e.kind === kind && e[measure]).forEach(e => {
+            if (!rows.has(e.key)) rows.set(e.key, { key: e.key, values: new Array(runs.length).fill(null), calls: 0 });
+            const row = rows.get(e.key);
+            row.values[i] = e[measure][stat];
+            row.calls += e.count;
+        });
+    });
+    return [...rows.values()].map(row => {
+        const present = row.values.filter(v => v !== null);
+        const first = present[0];
+        const latest = present[present.length - 1];
+        return { ...row, runs: present.length, first, latest, change: present.length > 1 && first > 0 ? (latest - first) / first : null };
+    });
+}
+
+function renderTrends() {
+    const container = document.getElementById('trendsContainer');
+    if (container.style.display === 'none') return;
+    populateTrendEnvironments();
+
+    const tbody = document.getElementById('trendsBody');
+    const runs = trendRuns();
+    if (runs.length === 0) {
+        document.getElementById('trendChart').innerHTML = '';
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center; padding: 20px;">No run history loaded. Each api-tracer.js run is recorded in &lt;resultsDir&gt;/history.jsonl and embedded in the zip as run-history.js.</td></tr>';
+        return;
+    }
+
+    const kind = document.getElementById('trendKind').value;
+    const [measure, stat] = document.getElementById('trendMetric').value.split('.');
+    const rows = buildTrendRows(runs, kind, measure, stat);
+    // Biggest slowdowns first, then the busiest endpoints
+    rows.sort((a, b) => (b.change ?? -Infinity) - (a.change ?? -Infinity) || b.calls - a.calls);
+    if (!rows.some(r => r.key === selectedTrendKey)) selectedTrendKey = rows.length > 0 ? rows[0].key : null;
+
+    const ms = (v) => v === null || v === undefined ? '—' : v.toFixed(0);
+    tbody.innerHTML = rows.length === 0
+        ? `<tr><td colspan="6" style="text-align:center; padding: 20px;">No ${measure === 'harMs' ? 'HAR times' : 'backend durations'} recorded for ${kind} endpoints.</td></tr>`
+        : rows.map(row => {
+            const [method, ...urlParts] = row.key.split(' ');
+            const changeClass = row.change === null ? 'delta-same' : row.change > 0.1 ? 'delta-up' : row.change < -0.1 ? 'delta-down' : 'delta-same';
+            return `
+              <tr class="trend-row ${row.key === selectedTrendKey ? 'trend-selected' : ''}" onclick="selectTrend('${escapeAttr(row.key.replace(/\\/g, '\\\\').replace(/'/g, "\\'"))}')">
+                <td><span class="method-tag method-${method.replace('/', '-')}">${method}</span><span class="url-text">${escapeAttr(urlParts.join(' '))}</span></td>
+                <td class="num">${row.runs}</td>
+                <td class="num">${ms(row.first)}</td>
+                <td class="num">${ms(row.latest)}</td>
+                <td class="num ${changeClass}">${row.change === null ? '—' : `${row.change > 0 ? '+' : ''}${(row.change * 100).toFixed(0)}%`}</td>
+                <td>${sparklineSvg(row.values)}</td>
+              </tr>
+            `;
+        }).join('');
+
+    renderTrendChart(runs, kind, measure);
+}
+
+window.selectTrend = function(key) {
+    selectedTrendKey = key;
+    renderTrends();
+};
+
+function sparklineSvg(values) {
+    const width = 160;
+    const height = 28;
+    const present = values.filter(v => v !== null);
+    if (present.length === 0) return '';
+    const max = Math.max(...present, 1);
+    const x = (i) => values.length === 1 ? width / 2 : (i / (values.length - 1)) * (width - 4) + 2;
+    const y = (v) => height - 2 - (v / max) * (height - 4);
+    // Runs without this endpoint break the line; a run between two gaps is a dot
+    const segments = [[]];
+    values.forEach((v, i) => {
+        if (v === null) segments.push([]);
+        else segments[segments.length - 1].push({ x: x(i).toFixed(1), y: y(v).toFixed(1) });
+    });
+    const shapes = segments.filter(points => points.length > 0).map(points => points.length === 1
+        ? `<circle cx="${points[0].x}" cy="${points[0].y}" r="1.5" fill="#007acc"/>`
+        : `<polyline points="${points.map(p => `${p.x},${p.y}`).join(' ')}" fill="none" stroke="#007acc" stroke-width="1.5"/>`);
+    return `<svg class="sparkline" width="${width}" height="${height}">${shapes.join('')}</svg>`;
+}
+
+/**
+ * p50/p90/p99 of the selected endpoint across runs, for the chosen measure.
+ */
+function renderTrendChart(runs, kind, measure) {
+    const chart = document.getElementById('trendChart');
+    if (!selectedTrendKey) {
+        chart.innerHTML = '';
+        return;
+    }
+    const stats = runs.map(run => {
+        const endpoint = (run.endpoints || []).find(e => e.kind === kind && e.key === selectedTrendKey);
+        return endpoint ? endpoint[measure] : null;
+    });
+
+    const width = 900;
+    const height = 260;
+    const pad = { left: 60, right: 20, top: 20, bottom: 60 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const max = Math.max(1, ...stats.filter(Boolean).flatMap(s => TREND_SERIES.map(t => s[t.key] || 0)));
+    const x = (i) => pad.left + (runs.length === 1 ? plotW / 2 : (i / (runs.length - 1)) * plotW);
+    const y = (v) => pad.top + plotH - (v / max) * plotH;
+
+    const grid = [0, 0.25, 0.5, 0.75, 1].map(f => `
+        <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(max * f)}" y2="${y(max * f)}" stroke="#eee"/>
+        <text x="${pad.left - 6}" y="${y(max * f) + 4}" text-anchor="end">${(max * f).toFixed(0)}</text>`).join('');
+    // Label every run when there is room, else about 12 of them
+    const labelEvery = Math.max(1, Math.ceil(runs.length / 12));
+    const xLabels = runs.map((run, i) => i % labelEvery !== 0 ? '' :
+        `<text x="${x(i)}" y="${height - pad.bottom + 14}" text-anchor="end" transform="rotate(-30 ${x(i)} ${height - pad.bottom + 14})">${escapeAttr(runLabel(run))}</text>`).join('');
+    const lines = TREND_SERIES.map(series => {
+        const points = stats.map((s, i) => (s ? { x: x(i), y: y(s[series.key]), v: s[series.key], run: runs[i] } : null));
+        // Runs without this endpoint break the line (their neighbours keep their dots)
+        const segments = [[]];
+        points.forEach(p => (p ? segments[segments.length - 1].push(p) : segments.push([])));
+        const polylines = segments.filter(seg => seg.length > 1).map(seg =>
+            `<polyline points="${seg.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}" fill="none" stroke="${series.color}" stroke-width="2"/>`);
+        return `
+            ${polylines.join('')}
+            ${points.filter(Boolean).map(p => `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="3" fill="${series.color}"><title>${escapeAttr(runLabel(p.run))}: ${series.key} ${p.v.toFixed(0)} ms</title></circle>`).join('')}`;
+    }).join('');
+    const legend = TREND_SERIES.map((s, i) => `<text x="${pad.left + 10 + i * 60}" y="${pad.top - 6}" fill="${s.color}" font-weight="bold">${s.key}</text>`).join('');
+
+    chart.innerHTML = `
+        <h3>${escapeAttr(selectedTrendKey)} <small>(${measure === 'harMs' ? 'HAR time' : 'backend duration'}, ms)</small></h3>
+        <svg class="trend-chart" viewBox="0 0 ${width} ${height}" width="100%">${grid}${xLabels}${lines}${legend}</svg>
+    `;
+}
+
+window.renderTrends = renderTrends;
+
 document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('sourceUrlFilter').addEventListener('keyup', filterAndRender);
     document.getElementById('cacheFilter').addEventListener('keyup', filterAndRender);
     document.getElementById('domainFilter').addEventListener('keyup', filterAndRender);
     document.getElementById('textFilter').addEventListener('keyup', filterAndRender);
+    document.getElementById('findingsOnly').addEventListener('change', filterAndRender);
+    document.getElementById('statusFilter').addEventListener('change', filterAndRender);
     
     document.getElementById('fileInput').addEventListener('change', handleFileUpload);
-    tryLoadDefaultZip();
+    document.getElementById('compareFileInput').addEventListener('change', handleCompareFileUpload);
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeDetail(); });
+    initTimelineBrush();
+
+    // Standalone exports (--html) register their reports inline before the DOM is ready
+    const embeddedReports = Object.keys(availableReports).sort();
+    if (embeddedReports.length > 0) refreshReportSelectors(embeddedReports[0]);
+    else initServerMode().then(isServer => { if (!isServer) tryLoadDefaultZip(); });
 });
 
 window.switchReport = switchReport;
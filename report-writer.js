@@ -0,0 +1,32 @@
+/**
+ * Report serialisation for api-tracer.js
+ *
+ * Reports are stored as scripts the viewer can load directly:
+ *   window.registerReportData("<name>", {"metadata":{...},"data":[
+ *   {...row 1...},
+ *   {...row 2...}
+ *   ]});
+ * Each row is stringified on its own (one per line) and the pieces are joined as Buffers, so a
+ * large report never exists as one JS string (V8 caps strings at ~512 MB) or as pretty-printed text.
+ */
+
+// =================================================================
+// --- Serialisation ---
+// =================================================================
+
+/**
+ * Returns the report script as a Buffer.
+ */
+export function serialiseReportScript(reportName, report) {
+    const { data = [], ...rest } = report;
+    const chunks = [];
+    const push = (text) => chunks.push(Buffer.from(text, 'utf8'));
+
+    // Every top-level key except "data" (metadata and anything added later) goes in the head
+    const head = JSON.stringify(rest).slice(0, -1);
+    push(`window.registerReportData(${JSON.stringify(reportName)}, ${head}${head.length > 1 ? ',' : ''}"data":[\n`);
+    data.forEach((row, i) => push(`${JSON.stringify(row)}${i < data.length - 1 ? ',' : ''}\n`));
+    push(']});\n');
+
+    return Buffer.concat(chunks);
+}
@@ -0,0 +1,130 @@
+/**
+ * Run history for api-tracer.js
+ *
+ * Every run (a CLI invocation, or one upload in serve mode) appends one JSON line to a local store
+ * (default <resultsDir>/history.jsonl) with per-endpoint percentiles, tagged with a build/version
+ * label and an environment:
+ *   { id, recordedAt, label, environment, files: [...], requests,
+ *     endpoints: [{ kind: 'source'|'downstream', key: 'GET /users/{id}', count, errors,
+ *                   harMs: { p50, p90, p99, max } | null, backendMs: { p50, p90, p99, max } | null }] }
+ * Source endpoints are the HAR requests (HAR time and root span duration); downstream endpoints are
+ * the traced leaf calls (span duration). Keys use URL templates, so runs line up across releases.
+ * The viewer's Trends view plots these; the CLI embeds recent runs in the zip as run-history.js.
+ * Recording is on by default; historyFile: false / --no-history turns it off. The file is never trimmed,
+ * only the runs read back are limited (readRunHistory).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+export const HISTORY_SCRIPT_NAME = 'run-history.js';
+
+// Runs embedded in a zip / served to the viewer (newest kept)
+const DEFAULT_HISTORY_LIMIT = 200;
+
+// =================================================================
+// --- Recording ---
+// =================================================================
+
+/**
+ * Collects the (redacted) reports of one run. options: { file, label, environment }.
+ * save() appends the run to options.file and returns it; it writes nothing when no report was added.
+ */
+export function createRunRecorder(options) {
+    const groups = new Map();
+    const files = [];
+    let requests = 0;
+
+    const group = (kind, key) => {
+        const id = `${kind} ${key}`;
+        if (!groups.has(id)) groups.set(id, { kind, key, count: 0, errors: 0, harMs: [], backendMs: [] });
+        return groups.get(id);
+    };
+
+    function addReport(report) {
+        files.push(report.metadata?.filename || 'unknown');
+        for (const row of report.data || []) {
+            requests++;
+            const source = group('source', `${(row.method || 'N/A').toUpperCase()} ${row.urlTemplate || row.sourceUrl}`);
+            source.count++;
+            if (row.status >= 400) source.errors++;
+            source.harMs.push(row.harResponseTime || 0);
+            if (row.latency && row.latency.backendMs !== null) source.backendMs.push(row.latency.backendMs);
+
+            for (const call of row.tracedUrls || []) {
+                // Placeholder rows ("- No trace data found -") are not calls
+                if (call.url.startsWith('- ')) continue;
+                const downstream = group('downstream', `${(call.method || 'N/A').toUpperCase()} ${call.urlTemplate || call.url}`);
+                downstream.count++;
+                if (call.error || call.status >= 400) downstream.errors++;
+                downstream.backendMs.push((call.duration || 0) / 1000);
+            }
+        }
+    }
+
+    function save() {
+        if (files.length === 0) return null;
+        const recordedAt = new Date().toISOString();
+        const run = {
+            id: recordedAt,
+            recordedAt,
+            label: options.label || null,
+            environment: options.environment || null,
+            files,
+            requests,
+            endpoints: [...groups.values()].map(g => ({
+                kind: g.kind,
+                key: g.key,
+                count: g.count,
+                errors: g.errors,
+                harMs: summarise(g.harMs),
+                backendMs: summarise(g.backendMs)
+            }))
+        };
+        fs.mkdirSync(path.dirname(options.file), { recursive: true });
+        fs.appendFileSync(options.file, `${JSON.stringify(run)}\n`);
+        return run;
+    }
+
+    return { addReport, save };
+}
+
+function summarise(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const pick = (p) => round(sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)]);
+    return { p50: pick(50), p90: pick(90), p99: pick(99), max: round(sorted[sorted.length - 1]) };
+}
+
+function round(ms) {
+    return Math.round(ms * 10) / 10;
+}
+
+// =================================================================
+// --- Reading ---
+// =================================================================
+
+/**
+ * The newest `limit` runs, oldest first. A missing file is an empty history; unparsable lines
+ * (e.g. a run interrupted mid-write) are skipped.
+ */
+export function readRunHistory(file, limit = DEFAULT_HISTORY_LIMIT) {
+    if (!fs.existsSync(file)) return [];
+    const runs = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try { runs.push(JSON.parse(line)); } catch (e) { /* partial line */ }
+    }
+    return runs.slice(-limit);
+}
+
+/**
+ * Script the viewer loads like a report (zip entry / inlined in --html exports).
+ */
+export function serialiseHistoryScript(runs) {
+    return Buffer.from(`window.registerRunHistory(${JSON.stringify(runs)});\n`, 'utf8');
+}
@@ -0,0 +1,225 @@
+/**
+ * Local web server for api-tracer.js (`node api-tracer.js serve`)
+ *
+ * Serves the viewer (index.html, report-logic.js) and a small API it uses when it detects the server:
+ *   GET  /api/config                 { domainRegex, backend } defaults for the upload form
+ *   GET  /api/reports                reports in the results dir, newest first
+ *   GET  /api/reports/<file>         one report script (window.registerReportData(...))
+ *   GET  /api/history                recent runs from the run history (see run-history.js), oldest first
+ *   POST /api/traces?name=&domain=   body: HAR (or other input, see input-adapters.js). Runs the CLI pipeline and streams NDJSON progress:
+ *                                    { type: 'progress', phase, ... } ... then { type: 'done', file } or { type: 'error', message }
+ *
+ * Traces run with the server's configured backend credentials, so it binds to 127.0.0.1 by default and
+ * only answers requests addressed to it by name (Host: localhost / 127.0.0.1 / the configured host) from
+ * its own pages (Origin, when sent, must be the server's own). That keeps other web pages the user visits
+ * from posting HARs to it, and DNS rebinding from reading its results.
+ * Bound to all interfaces (--host=0.0.0.0) it still only answers to localhost names: list the names other
+ * machines use to reach it in allowedHosts (--allowed-hosts=tracer.lan,10.0.0.5).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import { readRunHistory } from './run-history.js';
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+const VIEWER_DIR = path.dirname(fileURLToPath(import.meta.url));
+const STATIC_FILES = {
+    '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+    '/index.html': { file: 'index.html', type: 'text/html; charset=utf-8' },
+    '/report-logic.js': { file: 'report-logic.js', type: 'application/javascript; charset=utf-8' }
+};
+const REPORT_SUFFIX = '.report-data.js';
+const MAX_UPLOAD_BYTES = 512 * 1024 * 1024;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+// Bind-all addresses are not names a browser would use
+const WILDCARD_HOSTS = ['0.0.0.0', '::', '[::]'];
+
+// =================================================================
+// --- Server ---
+// =================================================================
+
+/**
+ * Starts the server and resolves once it is listening.
+ * allowedHosts: extra Host names (or IPs) to answer to besides localhost and the bound host.
+ * runTrace(harFilePath, reportName, domainRegex, onProgress) -> report script, or null when nothing matched.
+ */
+export function startServer({ host, port, resultsDir, domainRegex, backend, historyFile, allowedHosts = [], runTrace }) {
+    fs.mkdirSync(resultsDir, { recursive: true });
+    const allowedHostnames = new Set(LOCAL_HOSTNAMES);
+    const addHostname = (name) => allowedHostnames.add(toUrlHostname(name));
+    if (!WILDCARD_HOSTS.includes(host)) addHostname(host);
+    allowedHosts.forEach(addHostname);
+    if (WILDCARD_HOSTS.includes(host) && allowedHosts.length === 0) {
+        console.warn(`  [Warning] Listening on ${host}, but only localhost names are answered; set allowedHosts (--allowed-hosts) for other names.`);
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const rejection = checkRequestOrigin(req, allowedHostnames);
+        if (rejection) {
+            console.warn(`  [Warning] Rejected ${req.method} ${req.url}: ${rejection}`);
+            return sendJson(res, 403, { error: rejection });
+        }
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        try {
+            if (req.method === 'GET' && STATIC_FILES[url.pathname]) {
+                const { file, type } = STATIC_FILES[url.pathname];
+                return sendFile(res, path.join(VIEWER_DIR, file), type);
+            }
+            if (req.method === 'GET' && url.pathname === '/api/config') {
+                return sendJson(res, 200, { domainRegex, backend });
+            }
+            if (req.method === 'GET' && url.pathname === '/api/reports') {
+                return sendJson(res, 200, listReports(resultsDir));
+            }
+            if (req.method === 'GET' && url.pathname === '/api/history') {
+                return sendJson(res, 200, historyFile ? readRunHistory(historyFile) : []);
+            }
+            if (req.method === 'GET' && url.pathname.startsWith('/api/reports/')) {
+                const file = decodeURIComponent(url.pathname.slice('/api/reports/'.length));
+                // Only names from the listing: no path separators, no traversal
+                if (!listReports(resultsDir).some(r => r.file === file)) return sendJson(res, 404, { error: 'Report not found' });
+                return sendFile(res, path.join(resultsDir, file), 'application/javascript; charset=utf-8');
+            }
+            if (req.method === 'POST' && url.pathname === '/api/traces') {
+                return await handleTraceUpload(req, res, url, { resultsDir, domainRegex, runTrace });
+            }
+            sendJson(res, 404, { error: 'Not found' });
+        } catch (err) {
+            console.error(`  [Error] ${req.method} ${url.pathname}:`, err.message);
+            if (!res.headersSent) sendJson(res, 500, { error: err.message });
+            else res.end();
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            console.log(`--- Serving viewer on http://${host}:${server.address().port}/ (results: ${resultsDir}) ---`);
+            resolve(server);
+        });
+    });
+}
+
+async function handleTraceUpload(req, res, url, { resultsDir, domainRegex, runTrace }) {
+    const harName = path.basename(url.searchParams.get('name') || 'upload.har');
+    const regex = url.searchParams.get('domain') || domainRegex;
+    if (!regex) return sendJson(res, 400, { error: 'No domain regex given and none configured (domainRegex).' });
+    try { new RegExp(regex); } catch (err) { return sendJson(res, 400, { error: `Invalid domain regex: ${err.message}` }); }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-tracer-'));
+    const harFilePath = path.join(tmpDir, harName);
+    try {
+        await saveUpload(req, harFilePath, MAX_UPLOAD_BYTES);
+    } catch (err) {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        return sendJson(res, 413, { error: err.message });
+    }
+
+    // Progress is streamed as newline-delimited JSON; the browser reads it incrementally
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-store' });
+    const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+    try {
+        // Timestamped so re-uploading the same HAR keeps the earlier results
+        const reportName = `${new Date().toISOString().replace(/[:.]/g, '-')} ${harName}`;
+        const fileContent = await runTrace(harFilePath, reportName, regex, (event) => send({ type: 'progress', ...event }));
+        if (!fileContent) {
+            send({ type: 'error', message: `No requests matching ${regex} with a trace ID in ${harName}.` });
+        } else {
+            const file = `${reportName}${REPORT_SUFFIX}`;
+            fs.writeFileSync(path.join(resultsDir, file), fileContent);
+            console.log(`  [Success] Saved ${file}`);
+            send({ type: 'done', file });
+        }
+    } catch (err) {
+        console.error(`  [Error] Failed to process ${harName}:`, err.message);
+        send({ type: 'error', message: err.message });
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        res.end();
+    }
+}
+
+// =================================================================
+// --- Helpers ---
+// =================================================================
+
+/**
+ * Returns why the request is refused, or null. Host must name this machine (DNS rebinding sends the
+ * attacker's host name); a cross-site page's requests carry its own Origin.
+ */
+function checkRequestOrigin(req, allowedHostnames) {
+    if (!req.headers.host) return 'Missing Host header';
+    let requestHost;
+    try {
+        requestHost = new URL(`http://${req.headers.host}`);
+    } catch (err) {
+        return 'Invalid Host header';
+    }
+    if (!allowedHostnames.has(requestHost.hostname)) return `Host "${req.headers.host}" is not allowed`;
+
+    const origin = req.headers.origin;
+    if (origin !== undefined && origin !== `http://${requestHost.host}`) return `Cross-origin request from ${origin}`;
+    return null;
+}
+
+/**
+ * The form URL.hostname gives for a Host header: lower-case, IPv6 in brackets.
+ */
+function toUrlHostname(name) {
+    const lower = name.toLowerCase();
+    return lower.includes(':') && !lower.startsWith('[') ? `[${lower}]` : lower;
+}
+
+function listReports(resultsDir) {
+    if (!fs.existsSync(resultsDir)) return [];
+    return fs.readdirSync(resultsDir)
+        .filter(file => file.endsWith(REPORT_SUFFIX))
+        .map(file => {
+            const stat = fs.statSync(path.join(resultsDir, file));
+            return { file, name: file.slice(0, -REPORT_SUFFIX.length), size: stat.size, modified: stat.mtime.toISOString() };
+        })
+        .sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+/**
+ * Streams the request body to disk (HARs can be hundreds of MB), failing past maxBytes.
+ */
+async function saveUpload(req, filePath, maxBytes) {
+    let size = 0;
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            callback(size > maxBytes ? new Error(`Upload larger than ${maxBytes} bytes.`) : null, chunk);
+        }
+    });
+    await pipeline(req, limit, fs.createWriteStream(filePath));
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Headers are sent once the file is open, so a file removed (or unreadable) since it was listed is a 404/500.
+ */
+function sendFile(res, filePath, contentType) {
+    const stream = fs.createReadStream(filePath);
+    stream.once('open', () => {
+        res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+        stream.pipe(res);
+    });
+    stream.once('error', (err) => {
+        if (res.headersSent) return res.destroy(err);
+        sendJson(res, err.code === 'ENOENT' ? 404 : 500, { error: err.code === 'ENOENT' ? 'Not found' : err.message });
+    });
+}
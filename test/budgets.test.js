@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadBudgets, evaluateBudgets, writeJUnitReport } from '../budgets.js';
+import { createRedactor } from '../redaction.js';
+
+function writeBudgets(t, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'budgets.yaml');
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+// root (gateway) -> orders (has a URL, calls db) -> db leaf; root -> prefs leaf. Durations in µs.
+const TRACED_ROW = {
+    method: 'GET',
+    sourceUrl: 'https://api.example.com/users/42',
+    urlTemplate: 'https://api.example.com/users/{id}',
+    harResponseTime: 900,
+    cacheControl: 'no-store',
+    graphData: [
+        { spanId: 'root', parentId: null, url: 'https://api.example.com/users/42', duration: 800000 },
+        { spanId: 'orders', parentId: 'root', url: 'http://orders/items', duration: 600000 },
+        { spanId: 'db', parentId: 'orders', url: 'http://db/query', duration: 500000 },
+        { spanId: 'prefs', parentId: 'root', url: 'http://prefs/config', duration: 20000 }
+    ]
+};
+
+const UNTRACED_ROW = { ...TRACED_ROW, graphData: [] };
+
+test('loadBudgets compiles patterns and upper-cases the method', (t) => {
+    const [budget] = loadBudgets(writeBudgets(t, 'budgets:\n  - name: Users\n    method: get\n    url: /users/\\{id\\}\n    maxHarTimeMs: 1000\n'));
+    assert.equal(budget.method, 'GET');
+    assert.equal(budget.urlPattern.test(TRACED_ROW.urlTemplate), true);
+});
+
+test('loadBudgets rejects non-numeric limits', (t) => {
+    assert.throws(() => loadBudgets(writeBudgets(t, 'budgets:\n  - name: Slow\n    url: /x\n    maxBackendMs: 1.5s\n')), /invalid maxBackendMs/);
+    assert.throws(() => loadBudgets(writeBudgets(t, 'budgets:\n  - name: Neg\n    url: /x\n    maxDownstreamCalls: -1\n')), /invalid maxDownstreamCalls/);
+    assert.throws(() => loadBudgets(writeBudgets(t, 'budgets:\n  - url: /x\n    allowMissingTrace: yes please\n')), /allowMissingTrace/);
+    assert.throws(() => loadBudgets(writeBudgets(t, 'budgets:\n  - name: NoUrl\n')), /needs a "url"/);
+});
+
+test('evaluateBudgets reports each slow leaf call once', () => {
+    const budgets = [{ name: 'Users', method: null, urlPattern: /users/, maxDownstreamMs: 100, maxDownstreamCalls: 1 }];
+    const report = { data: [structuredClone(TRACED_ROW)] };
+    const result = evaluateBudgets(report, budgets);
+
+    assert.equal(result.checked, 1);
+    assert.equal(result.failed, 1);
+    assert.deepEqual(result.cases[0].violations, [
+        'downstream http://db/query 500 ms > 100 ms',
+        '2 downstream calls > 1'
+    ]);
+    assert.equal(report.data[0].budgetViolations.length, 2);
+});
+
+test('evaluateBudgets checks HAR time, backend time and cache-control', () => {
+    const budgets = [{ name: 'Users', method: 'POST', urlPattern: /users/, maxHarTimeMs: 1 },
+        { name: 'All', method: null, urlPattern: /users/, maxHarTimeMs: 500, maxBackendMs: 700, requireCacheControl: 'max-age', cacheControlPattern: /max-age/i }];
+    const result = evaluateBudgets({ data: [structuredClone(TRACED_ROW)] }, budgets);
+
+    assert.equal(result.checked, 1);
+    assert.deepEqual(result.cases[0].violations, [
+        'HAR time 900 ms > 500 ms',
+        'backend 800 ms > 700 ms',
+        'cache-control "no-store" does not match /max-age/'
+    ]);
+});
+
+test('a missing trace fails trace limits unless allowMissingTrace is set', () => {
+    const strict = { name: 'Strict', method: null, urlPattern: /users/, maxHarTimeMs: 5000, maxBackendMs: 700 };
+    const lenient = { ...strict, name: 'Lenient', allowMissingTrace: true };
+    const result = evaluateBudgets({ data: [structuredClone(UNTRACED_ROW)] }, [strict, lenient]);
+
+    assert.deepEqual(result.cases[0].violations, ['no trace data for maxBackendMs']);
+    assert.deepEqual(result.cases[1].violations, []);
+});
+
+test('writeJUnitReport redacts case names and messages, and writes errored inputs', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'junit.xml');
+    const row = { ...structuredClone(TRACED_ROW), sourceUrl: 'https://api.example.com/users/42?token=s3cret&page=2' };
+    const budgets = [{ name: 'Users', method: null, urlPattern: /users/, maxHarTimeMs: 100 }];
+    const result = evaluateBudgets({ data: [row] }, budgets);
+
+    writeJUnitReport(file, [{ name: 'a.har', result }, { name: 'b.har', error: 'bad JSON near ?token=leak' }], createRedactor());
+    const xml = fs.readFileSync(file, 'utf8');
+
+    assert.doesNotMatch(xml, /s3cret|leak/);
+    assert.match(xml, /token=\[REDACTED\]&amp;page=2/);
+    assert.match(xml, /tests="2" failures="1" errors="1"/);
+    assert.match(xml, /<error message="bad JSON near \?token=\[REDACTED\]">/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readCacheHeaders, analyseCaching } from '../cache-analysis.js';
+
+const T0 = '2024-01-01T00:00:00.000Z';
+
+function request(cacheHeaders, overrides = {}) {
+    return { method: 'GET', sourceUrl: 'https://api.example.com/config', status: 200, startedDateTime: T0, cacheHeaders, ...overrides };
+}
+
+function classify(req) {
+    analyseCaching([req]);
+    return req.cache;
+}
+
+test('readCacheHeaders picks cache headers, the CDN header and _fromCache', () => {
+    const entry = {
+        request: { headers: [{ name: 'If-None-Match', value: '"v1"' }] },
+        response: { headers: [{ name: 'Cache-Control', value: 'max-age=60' }, { name: 'ETag', value: '"v1"' }, { name: 'CF-Cache-Status', value: 'HIT' }, { name: 'X-Other', value: '1' }] },
+        _fromCache: 'disk'
+    };
+    assert.deepEqual(readCacheHeaders(entry), {
+        cacheControl: 'max-age=60',
+        etag: '"v1"',
+        ifNoneMatch: '"v1"',
+        cdn: 'cf-cache-status: HIT',
+        fromCache: 'disk'
+    });
+    assert.deepEqual(readCacheHeaders({}), {});
+});
+
+test('hits: browser cache, CDN hit header and Age', () => {
+    assert.equal(classify(request({ fromCache: 'memory' })).class, 'browser-hit');
+    assert.deepEqual(classify(request({ cdn: 'x-cache: Hit from cloudfront' })).reasons, ['x-cache: Hit from cloudfront']);
+    assert.equal(classify(request({ cdn: 'x-cache: MISS', cacheControl: 'no-store' })).class, 'uncacheable');
+    assert.equal(classify(request({ age: '30' })).class, 'cdn-hit');
+});
+
+test('revalidated: 304 responses are avoidable backend round trips', () => {
+    const cache = classify(request({ ifNoneMatch: '"v1"' }, { status: 304 }));
+    assert.equal(cache.class, 'revalidated');
+    assert.deepEqual(cache.reasons, ['304 Not Modified (If-None-Match)']);
+    assert.equal(cache.avoidable, true);
+    assert.deepEqual(classify(request({ ifModifiedSince: 'Mon, 01 Jan 2024 00:00:00 GMT' }, { status: 304 })).reasons, ['304 Not Modified (If-Modified-Since)']);
+});
+
+test('cacheable-missed: fresh responses and repeated GETs', () => {
+    const fresh = classify(request({ cacheControl: 'public, max-age=300' }));
+    assert.equal(fresh.class, 'cacheable-missed');
+    assert.deepEqual(fresh.reasons, ['fresh for 300s but fetched from origin']);
+    assert.equal(fresh.avoidable, false);
+
+    assert.deepEqual(classify(request({ cacheControl: 'max-age=10, s-maxage="600"' })).reasons, ['fresh for 600s but fetched from origin']);
+    assert.deepEqual(classify(request({ expires: 'Mon, 01 Jan 2024 00:02:00 GMT' })).reasons, ['fresh for 120s but fetched from origin']);
+
+    // Classified in start order whatever the input order; only the repeat is avoidable
+    const second = request({ etag: '"v1"' }, { startedDateTime: '2024-01-01T00:00:05.000Z' });
+    const first = request({ etag: '"v1"' });
+    analyseCaching([second, first]);
+    assert.equal(first.cache.class, 'uncacheable');
+    assert.equal(second.cache.class, 'cacheable-missed');
+    assert.equal(second.cache.occurrence, 2);
+    assert.equal(second.cache.avoidable, true);
+    assert.deepEqual(second.cache.reasons, ['identical GET #2 in this HAR', 'has validators (ETag/Last-Modified) but was not revalidated']);
+});
+
+test('uncacheable: method, status, no-store, Vary: * and no freshness', () => {
+    assert.deepEqual(classify(request({ cacheControl: 'max-age=60' }, { method: 'POST' })).reasons, ['POST responses are not cached']);
+    assert.deepEqual(classify(request({ cacheControl: 'max-age=60' }, { status: 500 })).reasons, ['status 500 is not cacheable']);
+    assert.deepEqual(classify(request({ cacheControl: 'no-store, max-age=60' })).reasons, ['Cache-Control: no-store']);
+    assert.deepEqual(classify(request({ cacheControl: 'max-age=60', vary: ' * ' })).reasons, ['Vary: *']);
+    assert.deepEqual(classify(request({ cacheControl: 'no-cache, max-age=60' })).reasons, ['Cache-Control: no-cache, max-age=60']);
+    assert.deepEqual(classify(request({})).reasons, ['no Cache-Control, Expires or validators']);
+});
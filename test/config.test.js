@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadSettings } from '../config.js';
+
+function writeConfig(t, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'api-tracer.config.yaml');
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+test('loadSettings: flags override the config profile', (t) => {
+    const config = writeConfig(t, 'defaultProfile: p\nprofiles:\n  p:\n    backend: jaeger\n    output: from-config\n    traceIdStrategies: [traceparent, "header:x-id"]\n');
+    const { settings, profile } = loadSettings({ config, output: 'from-flag', concurrency: '2', 'allowed-hosts': 'tracer.lan, 10.0.0.5' }, {});
+    assert.equal(profile, 'p');
+    assert.equal(settings.backend, 'jaeger');
+    assert.equal(settings.output, 'from-flag.zip');
+    assert.equal(settings.concurrency, 2);
+    assert.deepEqual(settings.traceIdStrategies, ['traceparent', 'header:x-id']);
+    assert.deepEqual(settings.allowedHosts, ['tracer.lan', '10.0.0.5']);
+});
+
+test('loadSettings: bare string and number flags need a value', (t) => {
+    const config = writeConfig(t, '{}\n');
+    assert.throws(() => loadSettings({ config, output: true }, {}), /--output needs a value/);
+    assert.throws(() => loadSettings({ config, 'trace-id': true }, {}), /--trace-id needs a value/);
+    assert.throws(() => loadSettings({ config, history: true }, {}), /--history needs a value/);
+    assert.throws(() => loadSettings({ config, concurrency: true }, {}), /--concurrency needs a value/);
+    assert.equal(loadSettings({ config, html: true }, {}).settings.htmlFile, true);
+});
+
+test('loadSettings: config values of the wrong type are rejected', (t) => {
+    assert.throws(() => loadSettings({ config: writeConfig(t, 'defaults:\n  output: 42\n') }, {}), /Invalid value for --output \/ output: 42/);
+    assert.throws(() => loadSettings({ config: writeConfig(t, 'defaults:\n  traceIdStrategies: [traceparent, 7]\n') }, {}), /traceIdStrategies/);
+    assert.throws(() => loadSettings({ config: writeConfig(t, 'defaults:\n  traceIdStrategies: {}\n') }, {}), /traceIdStrategies/);
+});
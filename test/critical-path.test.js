@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCriticalPath, computeLatencySplit, findRootSpans } from '../critical-path.js';
+
+// µs; root 0-1000 with two overlapping children, the later-finishing one is critical
+const SPANS = [
+    { spanId: 'root', parentId: null, startOffset: 0, duration: 1000 },
+    { spanId: 'a', parentId: 'root', startOffset: 100, duration: 300 },
+    { spanId: 'b', parentId: 'root', startOffset: 200, duration: 600 }
+];
+
+test('computeCriticalPath follows the last-finishing child', () => {
+    const critical = computeCriticalPath(SPANS);
+    // root 0-100 and 800-1000, a 100-200 (before b starts), b 200-800
+    assert.equal(critical.get('b'), 600);
+    assert.equal(critical.get('a'), 100);
+    assert.equal(critical.get('root'), 300);
+    assert.equal([...critical.values()].reduce((a, b) => a + b, 0), 1000);
+});
+
+test('computeLatencySplit uses the root span duration', () => {
+    assert.deepEqual(computeLatencySplit(1500, SPANS), { harMs: 1500, backendMs: 1, overheadMs: 1499 });
+    assert.deepEqual(computeLatencySplit(10, []), { harMs: 10, backendMs: null, overheadMs: null });
+});
+
+test('spans whose parent is missing from the trace are roots in both views', () => {
+    const partial = [
+        { spanId: 'orphan', parentId: 'not-in-trace', startOffset: 0, duration: 2000000 },
+        { spanId: 'child', parentId: 'orphan', startOffset: 1000, duration: 500000 }
+    ];
+    assert.deepEqual(findRootSpans(partial).map(s => s.spanId), ['orphan']);
+    assert.equal(computeLatencySplit(2500, partial).backendMs, 2000);
+    assert.equal(computeCriticalPath(partial).has('orphan'), true);
+});
+
+test('computeCriticalPath returns an empty map when no span is a root', () => {
+    const cycle = [
+        { spanId: 'a', parentId: 'b', startOffset: 0, duration: 100 },
+        { spanId: 'b', parentId: 'a', startOffset: 0, duration: 100 }
+    ];
+    assert.equal(computeCriticalPath(cycle).size, 0);
+    assert.equal(computeCriticalPath([{ spanId: 'self', parentId: 'self', startOffset: 0, duration: 100 }]).size, 0);
+});
+
+test('computeCriticalPath walks each span id once', () => {
+    // A duplicated id whose copy is its own parent would otherwise recurse forever
+    const looped = [
+        { spanId: 'root', parentId: null, startOffset: 0, duration: 1000 },
+        { spanId: 'x', parentId: 'root', startOffset: 100, duration: 500 },
+        { spanId: 'x', parentId: 'x', startOffset: 200, duration: 100 }
+    ];
+    const critical = computeCriticalPath(looped);
+    assert.deepEqual([...critical.keys()].sort(), ['root', 'x']);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFindings } from '../findings.js';
+
+// Leaf calls under one parent, µs. `at` is the start time; each call takes 100 µs.
+const call = (url, urlTemplate, at, parentId = 'p1') => ({ method: 'GET', url, urlTemplate, parentId, startTime: at, duration: 100 });
+const types = (findings) => findings.map(f => f.type).sort();
+
+test('duplicate-call: identical method and URL at the threshold', () => {
+    const calls = [call('http://cfg/flags', 'http://cfg/flags', 0), call('http://cfg/flags', 'http://cfg/flags', 50)];
+    const [finding] = detectFindings(calls);
+    assert.equal(finding.type, 'duplicate-call');
+    assert.equal(finding.count, 2);
+    assert.equal(finding.totalDuration, 200);
+    assert.equal(finding.message, '2x identical call to http://cfg/flags');
+
+    assert.deepEqual(detectFindings(calls, { duplicateMin: 3 }), []);
+    // A different method is a different call
+    assert.deepEqual(detectFindings([calls[0], { ...calls[1], method: 'POST' }]), []);
+});
+
+test('n-plus-one: distinct URLs behind one template', () => {
+    const calls = [1, 2, 3, 4, 5].map(id => call(`http://users/users/${id}`, 'http://users/users/{id}', id * 10, `p${id}`));
+    const findings = detectFindings(calls);
+    assert.deepEqual(types(findings), ['n-plus-one']);
+    assert.equal(findings[0].message, '5 calls to http://users/users/{id} (5 distinct URLs)');
+
+    assert.deepEqual(detectFindings(calls.slice(0, 4)), []);
+    assert.deepEqual(types(detectFindings(calls.slice(0, 3), { nPlusOneMin: 3 })), ['n-plus-one']);
+});
+
+test('sequential-fanout: the longest back-to-back run per parent', () => {
+    const template = 'http://prices/prices/{id}';
+    const calls = [
+        call('http://prices/prices/1', template, 0),
+        call('http://prices/prices/2', template, 100),
+        call('http://prices/prices/3', template, 250),
+        // Overlaps the previous call, so it starts a new run
+        call('http://prices/prices/4', template, 300)
+    ];
+    const [finding] = detectFindings(calls);
+    assert.equal(finding.type, 'sequential-fanout');
+    assert.equal(finding.count, 3);
+    assert.equal(finding.message, `3 sequential calls to ${template} could be batched or parallelised`);
+
+    assert.deepEqual(detectFindings(calls, { sequentialMin: 4 }), []);
+});
+
+test('sequential-fanout: calls from different parents or in parallel are not flagged', () => {
+    const template = 'http://stock/stock/{id}';
+    const acrossParents = [0, 100, 200].map((at, i) => call(`http://stock/stock/${i}`, template, at, `p${i}`));
+    assert.deepEqual(detectFindings(acrossParents), []);
+
+    const parallel = [0, 10, 20].map((at, i) => call(`http://stock/stock/${i}`, template, at));
+    assert.deepEqual(detectFindings(parallel), []);
+});
+
+test('findings are sorted by call count', () => {
+    const calls = [
+        ...[1, 2, 3, 4, 5, 6].map(id => call(`http://users/users/${id}`, 'http://users/users/{id}', id * 10, `p${id}`)),
+        call('http://cfg/flags', 'http://cfg/flags', 0),
+        call('http://cfg/flags', 'http://cfg/flags', 0)
+    ];
+    assert.deepEqual(detectFindings(calls).map(f => [f.type, f.count]), [['n-plus-one', 6], ['duplicate-call', 2]]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { streamHarEntries } from '../har-stream.js';
+
+function writeTemp(t, name, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-stream-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+function entry(url, body) {
+    return {
+        startedDateTime: '2024-01-01T00:00:00.000Z',
+        request: { method: 'POST', url, headers: [{ name: 'x-correlation-id', value: 'abc' }], postData: { mimeType: 'application/json', text: '{"big":true}' } },
+        response: { status: 200, headers: [], content: { size: body.length, mimeType: 'application/json', text: body } },
+        timings: { wait: 12.5, receive: -1 }
+    };
+}
+
+async function collect(iterable) {
+    const out = [];
+    for await (const item of iterable) out.push(item);
+    return out;
+}
+
+test('yields each entry and drops request/response bodies by default', async (t) => {
+    const har = { log: { version: '1.2', creator: { name: 'test' }, entries: [entry('https://a/1', '{"id":1}'), entry('https://a/2', '"quoted \\" \\u00e9"')] } };
+    const entries = await collect(streamHarEntries(writeTemp(t, 'a.har', JSON.stringify(har, null, 2))));
+
+    assert.equal(entries.length, 2);
+    assert.equal(entries[1].request.url, 'https://a/2');
+    assert.equal(entries[0].timings.wait, 12.5);
+    assert.equal(entries[0].timings.receive, -1);
+    assert.deepEqual(entries[0].request.headers, [{ name: 'x-correlation-id', value: 'abc' }]);
+    assert.equal(entries[0].response.content.text, undefined);
+    assert.equal(entries[0].request.postData.text, undefined);
+    assert.equal(entries[0].response.content.mimeType, 'application/json');
+});
+
+test('keepResponseBodies and filter', async (t) => {
+    const har = { log: { entries: [entry('https://a/1', '{"traceId":"t1"}'), entry('https://b/2', '{}')] } };
+    const file = writeTemp(t, 'b.har', `\uFEFF${JSON.stringify(har)}`);
+    const entries = await collect(streamHarEntries(file, { keepResponseBodies: true, filter: e => e.request.url.startsWith('https://a/') }));
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].response.content.text, '{"traceId":"t1"}');
+});
+
+test('entries and strings spanning read chunks', async (t) => {
+    // Bodies larger than the 1 MB read chunk, with escapes, so strings and entries cross chunk boundaries
+    const body = `${'x\\"y'.repeat(300000)}é`;
+    const har = { log: { entries: [entry('https://a/1', body), entry('https://a/2', 'small'), entry('https://a/3', body)] } };
+    const file = writeTemp(t, 'c.har', JSON.stringify(har));
+
+    const skipped = await collect(streamHarEntries(file));
+    assert.deepEqual(skipped.map(e => e.request.url), ['https://a/1', 'https://a/2', 'https://a/3']);
+
+    const kept = await collect(streamHarEntries(file, { keepResponseBodies: true }));
+    assert.equal(kept[2].response.content.text, body);
+});
+
+test('rejects files without log.entries and malformed JSON', async (t) => {
+    await assert.rejects(collect(streamHarEntries(writeTemp(t, 'd.har', '{"log":{"pages":[]}}'))), /Invalid HAR file format/);
+    await assert.rejects(collect(streamHarEntries(writeTemp(t, 'e.har', '{"log":{"entries":[{"a":1}}'))), /Failed to parse HAR file/);
+});
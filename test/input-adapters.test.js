@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { detectInputFormat, readInputEntries } from '../input-adapters.js';
+
+function writeTemp(t, name, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'input-adapters-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+async function collect(iterable) {
+    const out = [];
+    for await (const item of iterable) out.push(item);
+    return out;
+}
+
+// =================================================================
+// --- Playwright ---
+// =================================================================
+
+const SNAPSHOT = {
+    type: 'resource-snapshot',
+    snapshot: {
+        startedDateTime: '2024-01-01T00:00:00.000Z',
+        request: { method: 'GET', url: 'https://api.example.com/users/1', headers: [{ name: 'x-correlation-id', value: 'abc' }] },
+        response: { status: 200, headers: [], content: { mimeType: 'application/json', _sha1: 'body1.json' } },
+        timings: { wait: 20, receive: 5 }
+    }
+};
+
+test('playwright: *.network file with resource snapshots', async (t) => {
+    const lines = [JSON.stringify({ type: 'context-options' }), JSON.stringify(SNAPSHOT), ''].join('\n');
+    const file = writeTemp(t, 'trace.network', lines);
+    assert.equal(detectInputFormat(file), 'playwright');
+
+    const entries = await collect(readInputEntries(file));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].request.url, 'https://api.example.com/users/1');
+    assert.equal(entries[0].timings.wait, 20);
+});
+
+test('playwright: trace zip reads bodies from resources/ only when asked', async (t) => {
+    const zip = new AdmZip();
+    zip.addFile('trace.network', Buffer.from(JSON.stringify(SNAPSHOT) + '\n'));
+    zip.addFile('resources/body1.json', Buffer.from('{"id":1}'));
+    const file = writeTemp(t, 'trace.zip', zip.toBuffer());
+    assert.equal(detectInputFormat(file), 'playwright');
+
+    const [withBody] = await collect(readInputEntries(file, { keepResponseBodies: true }));
+    assert.equal(withBody.response.content.text, '{"id":1}');
+    const [withoutBody] = await collect(readInputEntries(file));
+    assert.equal(withoutBody.response.content.text, undefined);
+});
+
+test('playwright: zip without a network file or with a broken line is rejected', async (t) => {
+    const empty = new AdmZip();
+    empty.addFile('readme.txt', Buffer.from('hi'));
+    await assert.rejects(collect(readInputEntries(writeTemp(t, 'other.zip', empty.toBuffer()))), /no \*\.network file/);
+
+    const broken = writeTemp(t, 'trace.network', JSON.stringify(SNAPSHOT) + '\n{"type":"resource-snapshot",');
+    await assert.rejects(collect(readInputEntries(broken)), SyntaxError);
+});
+
+// =================================================================
+// --- Chrome DevTools Performance Log ---
+// =================================================================
+
+const CHROME_EVENTS = [
+    {
+        method: 'Network.requestWillBeSent',
+        params: { requestId: '1', wallTime: 1704067200, timestamp: 100, type: 'XHR', request: { method: 'GET', url: 'https://api.example.com/old', headers: { Accept: '*/*' } } }
+    },
+    {
+        method: 'Network.requestWillBeSent',
+        params: {
+            requestId: '1', wallTime: 1704067200.1, timestamp: 100.1, type: 'XHR',
+            request: { method: 'GET', url: 'https://api.example.com/new', headers: { Accept: '*/*' } },
+            redirectResponse: { status: 301, headers: { Location: '/new' } }
+        }
+    },
+    { method: 'Network.requestWillBeSentExtraInfo', params: { requestId: '1', headers: { 'x-correlation-id': 'abc' } } },
+    { method: 'Network.responseReceived', params: { requestId: '1', timestamp: 100.3, response: { status: 200, headers: { 'content-type': 'application/json' } } } },
+    { method: 'Network.responseReceivedExtraInfo', params: { requestId: '1', headers: { 'set-cookie': 'a=1\nb=2' } } },
+    { method: 'Network.loadingFinished', params: { requestId: '1', timestamp: 100.35, encodedDataLength: 120 } }
+];
+
+test('chrome-log: chromedriver performance log with a redirect', async (t) => {
+    // chromedriver wraps each event as a JSON string in "message"
+    const wrapped = CHROME_EVENTS.map(event => ({ level: 'INFO', timestamp: 0, message: JSON.stringify({ message: event, webview: 'x' }) }));
+    const file = writeTemp(t, 'perf.json', JSON.stringify(wrapped));
+    assert.equal(detectInputFormat(file), 'chrome-log');
+
+    const [redirect, final] = await collect(readInputEntries(file));
+    assert.equal(redirect.request.url, 'https://api.example.com/old');
+    assert.equal(redirect.response.status, 301);
+    assert.equal(final.request.url, 'https://api.example.com/new');
+    assert.deepEqual(final.request.headers, [{ name: 'Accept', value: '*/*' }, { name: 'x-correlation-id', value: 'abc' }]);
+    assert.deepEqual(final.response.headers.filter(h => h.name === 'set-cookie').map(h => h.value), ['a=1', 'b=2']);
+    assert.equal(final._resourceType, 'xhr');
+    assert.equal(Math.round(final.timings.wait), 200);
+    assert.equal(Math.round(final.timings.receive), 50);
+});
+
+test('chrome-log: one raw event per line, skipping unrelated records', async (t) => {
+    const lines = [{ level: 'INFO', message: 'not json' }, ...CHROME_EVENTS.slice(2)].map(e => JSON.stringify(e));
+    lines.unshift(JSON.stringify(CHROME_EVENTS[0]));
+    const file = writeTemp(t, 'perf.jsonl', lines.join('\n'));
+
+    const entries = await collect(readInputEntries(file));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].request.url, 'https://api.example.com/old');
+    assert.equal(entries[0].response.status, 200);
+});
+
+test('chrome-log: truncated JSON is rejected', async (t) => {
+    const file = writeTemp(t, 'perf.json', JSON.stringify(CHROME_EVENTS).slice(0, -10));
+    await assert.rejects(collect(readInputEntries(file)), SyntaxError);
+});
+
+// =================================================================
+// --- mitmproxy Flows ---
+// =================================================================
+
+/**
+ * Minimal tnetstring encoder for fixtures: strings are bytes (","), numbers ints or floats.
+ */
+function tnet(value) {
+    const wrap = (payload, tag) => `${Buffer.byteLength(payload)}:${payload}${tag}`;
+    if (value === null) return wrap('', '~');
+    if (typeof value === 'boolean') return wrap(String(value), '!');
+    if (typeof value === 'number') return wrap(String(value), Number.isInteger(value) ? '#' : '^');
+    if (typeof value === 'string') return wrap(value, ',');
+    if (Array.isArray(value)) return wrap(value.map(tnet).join(''), ']');
+    return wrap(Object.entries(value).map(([k, v]) => tnet(k) + tnet(v)).join(''), '}');
+}
+
+const FLOW = {
+    type: 'http',
+    request: {
+        method: 'GET', scheme: 'https', host: 'api.example.com', port: 8443, path: '/users/1?x=1', http_version: 'HTTP/1.1',
+        headers: [['x-correlation-id', 'abc']], timestamp_start: 1704067200, timestamp_end: 1704067200.01
+    },
+    response: {
+        status_code: 200, reason: 'OK', http_version: 'HTTP/1.1', headers: [['content-type', 'application/json']],
+        content: '{"id":1}', timestamp_start: 1704067200.11, timestamp_end: 1704067200.12
+    },
+    is_replay: false,
+    marked: null
+};
+
+test('mitmproxy: http flows become entries', async (t) => {
+    const other = { type: 'tcp', request: null };
+    const file = writeTemp(t, 'flows', tnet(FLOW) + '\n' + tnet(other) + tnet({ ...FLOW, request: { ...FLOW.request, scheme: 'http', port: 80 } }));
+    assert.equal(detectInputFormat(file), 'mitmproxy');
+
+    const entries = await collect(readInputEntries(file, { keepResponseBodies: true }));
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].request.url, 'https://api.example.com:8443/users/1?x=1');
+    assert.deepEqual(entries[0].request.headers, [{ name: 'x-correlation-id', value: 'abc' }]);
+    assert.equal(entries[0].response.status, 200);
+    assert.equal(entries[0].response.content.text, '{"id":1}');
+    assert.equal(entries[0].startedDateTime, '2024-01-01T00:00:00.000Z');
+    assert.equal(Math.round(entries[0].timings.wait), 100);
+    assert.equal(entries[1].request.url, 'http://api.example.com/users/1?x=1');
+});
+
+test('mitmproxy: truncated or malformed tnetstrings are rejected', async (t) => {
+    const flow = tnet(FLOW);
+    const cases = [
+        // Missing the trailing type tag
+        [flow.slice(0, -1), /Truncated mitmproxy flow file at byte 0/],
+        [flow.slice(0, 40), /Truncated/],
+        // Length prefix larger than the file
+        ['99999:abc,', /Truncated/],
+        // A nested value claiming more bytes than its parent holds
+        ['6:5:abcd]', /Truncated mitmproxy flow file at byte 2/],
+        ['3:abc?', /Unknown tnetstring type "\?" at byte 5/],
+        ['12:abc', /Truncated/],
+        ['0:~5:x', /Truncated mitmproxy flow file at byte 3/],
+        ['1:x,garbage', /Not a mitmproxy flow file/]
+    ];
+    for (const [content, error] of cases) {
+        await assert.rejects(collect(readInputEntries(writeTemp(t, 'flows', content))), error, content);
+    }
+});
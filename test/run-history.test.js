@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import vm from 'vm';
+import { createRunRecorder, readRunHistory, serialiseHistoryScript } from '../run-history.js';
+
+function historyFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-history-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    // In a subdirectory that does not exist yet, like the default <resultsDir>/history.jsonl
+    return path.join(dir, 'results', 'history.jsonl');
+}
+
+const REPORT = {
+    metadata: { filename: 'checkout.har' },
+    data: [
+        {
+            method: 'get', sourceUrl: 'https://api.example.com/users/1', urlTemplate: 'https://api.example.com/users/{id}',
+            status: 200, harResponseTime: 100, latency: { backendMs: 80 },
+            tracedUrls: [
+                { method: 'GET', url: 'http://db/query', duration: 40000 },
+                { method: 'GET', url: '- No trace data found -' }
+            ]
+        },
+        {
+            method: 'GET', sourceUrl: 'https://api.example.com/users/2', urlTemplate: 'https://api.example.com/users/{id}',
+            status: 503, harResponseTime: 300, latency: { backendMs: null }, tracedUrls: []
+        }
+    ]
+};
+
+test('save appends one run with per-endpoint percentiles', (t) => {
+    const file = historyFile(t);
+    const recorder = createRunRecorder({ file, label: '1.2.0', environment: 'staging' });
+    recorder.addReport(REPORT);
+    const run = recorder.save();
+
+    assert.equal(run.label, '1.2.0');
+    assert.equal(run.environment, 'staging');
+    assert.deepEqual(run.files, ['checkout.har']);
+    assert.equal(run.requests, 2);
+    assert.deepEqual(run.endpoints, [
+        { kind: 'source', key: 'GET https://api.example.com/users/{id}', count: 2, errors: 1, harMs: { p50: 100, p90: 300, p99: 300, max: 300 }, backendMs: { p50: 80, p90: 80, p99: 80, max: 80 } },
+        { kind: 'downstream', key: 'GET http://db/query', count: 1, errors: 0, harMs: null, backendMs: { p50: 40, p90: 40, p99: 40, max: 40 } }
+    ]);
+
+    const second = createRunRecorder({ file });
+    second.addReport(REPORT);
+    second.save();
+    const runs = readRunHistory(file);
+    assert.equal(runs.length, 2);
+    assert.deepEqual(runs[0], run);
+    assert.equal(runs[1].label, null);
+});
+
+test('save writes nothing without reports', (t) => {
+    const file = historyFile(t);
+    assert.equal(createRunRecorder({ file }).save(), null);
+    assert.equal(fs.existsSync(file), false);
+    assert.deepEqual(readRunHistory(file), []);
+});
+
+test('readRunHistory keeps the newest runs and skips partial lines', (t) => {
+    const file = historyFile(t);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const lines = [1, 2, 3, 4].map(n => JSON.stringify({ id: `run-${n}` }));
+    fs.writeFileSync(file, `${lines.join('\n')}\n\n{"id":"run-5","endpo`);
+
+    assert.deepEqual(readRunHistory(file).map(r => r.id), ['run-1', 'run-2', 'run-3', 'run-4']);
+    assert.deepEqual(readRunHistory(file, 2).map(r => r.id), ['run-3', 'run-4']);
+});
+
+test('serialiseHistoryScript registers the runs with the viewer', () => {
+    const registered = [];
+    const context = { window: { registerRunHistory: runs => registered.push(runs) } };
+    vm.runInNewContext(serialiseHistoryScript([{ id: 'a' }]).toString('utf8'), context);
+    assert.equal(JSON.stringify(registered), '[[{"id":"a"}]]');
+});
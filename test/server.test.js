@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { startServer } from '../server.js';
+
+/**
+ * Starts a server on port 0 with a stub tracer; uploads are recorded in `traced`.
+ */
+async function start(t, options = {}) {
+    const resultsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+    const traced = [];
+    const server = await startServer({
+        host: '127.0.0.1',
+        port: 0,
+        resultsDir,
+        domainRegex: 'api\\.example\\.com',
+        backend: 'files',
+        historyFile: null,
+        runTrace: async (harFilePath, reportName) => {
+            traced.push(reportName);
+            return Buffer.from('window.registerReportData({});\n');
+        },
+        ...options
+    });
+    t.after(() => {
+        server.close();
+        fs.rmSync(resultsDir, { recursive: true, force: true });
+    });
+    return { port: server.address().port, traced };
+}
+
+/**
+ * http.request rather than fetch: fetch does not let the caller set Host.
+ */
+function request(port, { method = 'GET', path: urlPath = '/api/config', headers = {}, setHost = true, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers, setHost }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, text }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+test('answers to localhost names and its own origin', async (t) => {
+    const { port } = await start(t);
+    for (const host of [`127.0.0.1:${port}`, `localhost:${port}`, `LOCALHOST:${port}`]) {
+        const res = await request(port, { headers: { Host: host } });
+        assert.equal(res.status, 200, host);
+    }
+    const sameOrigin = await request(port, { headers: { Host: `localhost:${port}`, Origin: `http://localhost:${port}` } });
+    assert.deepEqual(JSON.parse(sameOrigin.text), { domainRegex: 'api\\.example\\.com', backend: 'files' });
+});
+
+test('rejects other Host names, a missing Host and cross-origin requests', async (t) => {
+    const { port } = await start(t);
+    const rebound = await request(port, { headers: { Host: `attacker.example:${port}` } });
+    assert.equal(rebound.status, 403);
+    assert.match(JSON.parse(rebound.text).error, /Host "attacker\.example:\d+" is not allowed/);
+
+    // Node itself answers 400 to HTTP/1.1 without Host, before the handler's own check
+    assert.equal((await request(port, { setHost: false })).status, 400);
+    assert.equal((await request(port, { headers: { Host: `127.0.0.1:${port}`, Origin: 'https://attacker.example' } })).status, 403);
+    // Same name, different port: another local app
+    assert.equal((await request(port, { headers: { Host: `127.0.0.1:${port}`, Origin: 'http://127.0.0.1:1' } })).status, 403);
+});
+
+test('cross-origin uploads never reach the tracer', async (t) => {
+    const { port, traced } = await start(t);
+    const upload = { method: 'POST', path: '/api/traces?name=a.har', body: '{"log":{"entries":[]}}' };
+
+    const rejected = await request(port, { ...upload, headers: { Host: `127.0.0.1:${port}`, Origin: 'https://attacker.example' } });
+    assert.equal(rejected.status, 403);
+    assert.deepEqual(traced, []);
+
+    const accepted = await request(port, { ...upload, headers: { Host: `127.0.0.1:${port}`, Origin: `http://127.0.0.1:${port}` } });
+    assert.equal(accepted.status, 200);
+    const events = accepted.text.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(events.at(-1).type, 'done');
+    assert.equal(traced.length, 1);
+});
+
+test('bound to all interfaces: localhost names plus allowedHosts only', async (t) => {
+    const { port } = await start(t, { host: '0.0.0.0', allowedHosts: ['Tracer.LAN', '10.0.0.5'] });
+    assert.equal((await request(port, { headers: { Host: `localhost:${port}` } })).status, 200);
+    assert.equal((await request(port, { headers: { Host: `tracer.lan:${port}` } })).status, 200);
+    assert.equal((await request(port, { headers: { Host: `10.0.0.5:${port}` } })).status, 200);
+    assert.equal((await request(port, { headers: { Host: `0.0.0.0:${port}` } })).status, 403);
+    assert.equal((await request(port, { headers: { Host: `other.lan:${port}` } })).status, 403);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createTraceBackend, createFetchAgent, isValidTraceId, normaliseTraceDocument } from '../trace-backends.js';
+
+const JAEGER_TRACE = {
+    traceID: 'abc123',
+    spans: [
+        { traceID: 'abc123', spanID: 's1', references: [], operationName: 'GET /users', startTime: 1000, duration: 500, tags: [], processID: 'p1' },
+        { traceID: 'abc123', spanID: 's2', references: [{ refType: 'CHILD_OF', spanID: 's1' }], operationName: 'SELECT', startTime: 1100, duration: 200, tags: [], processID: 'p2' }
+    ],
+    processes: {
+        p1: { serviceName: 'gateway', tags: [] },
+        p2: { serviceName: 'db', tags: [] }
+    }
+};
+
+test('normaliseTraceDocument: Splunk GraphQL with spans as a JSON string', () => {
+    const spans = [{ spanID: 's1', references: [], operationName: 'op', startTime: 1, duration: 2, tags: [], process: { serviceName: 'svc', tags: [] } }];
+    assert.deepEqual(normaliseTraceDocument({ data: { trace: { traceID: 't', spans: JSON.stringify(spans) } } }), spans);
+    assert.deepEqual(normaliseTraceDocument({ data: { trace: { traceID: 't', spans } } }), spans);
+});
+
+test('normaliseTraceDocument: Splunk GraphQL without a trace is "not found"', () => {
+    assert.equal(normaliseTraceDocument({ data: { trace: null } }), null);
+    assert.throws(() => normaliseTraceDocument({ data: { trace: { spans: '{not json' } } }));
+});
+
+test('normaliseTraceDocument: Jaeger query API resolves processes', () => {
+    const spans = normaliseTraceDocument({ data: [JAEGER_TRACE] });
+    assert.equal(spans.length, 2);
+    assert.equal(spans[0].process.serviceName, 'gateway');
+    assert.equal(spans[1].process.serviceName, 'db');
+    assert.deepEqual(spans[1].references, [{ refType: 'CHILD_OF', spanID: 's1' }]);
+    assert.equal(normaliseTraceDocument({ data: [] }), null);
+});
+
+test('normaliseTraceDocument: single Jaeger trace export', () => {
+    const spans = normaliseTraceDocument(JAEGER_TRACE);
+    assert.equal(spans.length, 2);
+    assert.equal(spans[0].process.serviceName, 'gateway');
+});
+
+test('normaliseTraceDocument: OTLP JSON with hex and base64 ids', () => {
+    const doc = {
+        resourceSpans: [{
+            resource: { attributes: [{ key: 'service.name', value: { stringValue: 'orders' } }, { key: 'host.name', value: { stringValue: 'h1' } }] },
+            scopeSpans: [{
+                spans: [
+                    {
+                        traceId: '0af7651916cd43dd8448eb211c80319c',
+                        spanId: 'b7ad6b7169203331',
+                        name: 'GET /orders',
+                        startTimeUnixNano: '1700000000000000000',
+                        endTimeUnixNano: '1700000000250000000',
+                        attributes: [{ key: 'http.status_code', value: { intValue: '200' } }],
+                        status: { code: 2 }
+                    },
+                    {
+                        traceId: 'CvdlGRbNQ92ESOshHIAxnA==',
+                        spanId: 'AAAAAAAAAAE=',
+                        parentSpanId: 't61rcWkgMzE=',
+                        name: 'child',
+                        startTimeUnixNano: '1700000000100000000',
+                        endTimeUnixNano: '1700000000150000000'
+                    }
+                ]
+            }]
+        }]
+    };
+    const [root, child] = normaliseTraceDocument(doc);
+
+    assert.equal(root.spanID, 'b7ad6b7169203331');
+    assert.equal(root.startTime, 1700000000000000);
+    assert.equal(root.duration, 250000);
+    assert.equal(root.process.serviceName, 'orders');
+    assert.deepEqual(root.process.tags, [{ key: 'host.name', value: 'h1' }]);
+    assert.deepEqual(root.tags, [{ key: 'http.status_code', value: 200 }, { key: 'otel.status_code', value: 'ERROR' }]);
+
+    assert.equal(child.traceID, '0af7651916cd43dd8448eb211c80319c');
+    assert.equal(child.spanID, '0000000000000001');
+    assert.deepEqual(child.references, [{ refType: 'CHILD_OF', spanID: 'b7ad6b7169203331' }]);
+    assert.equal(normaliseTraceDocument({ resourceSpans: [] }), null);
+});
+
+test('normaliseTraceDocument: unknown documents are "not found"', () => {
+    assert.equal(normaliseTraceDocument(null), null);
+    assert.equal(normaliseTraceDocument({ errors: [{ message: 'nope' }] }), null);
+});
+
+test('isValidTraceId: only file-name-safe IDs', () => {
+    assert.equal(isValidTraceId('4bf92f3577b34da6a3ce929d0e0e4736'), true);
+    assert.equal(isValidTraceId('req_abc-123'), true);
+    assert.equal(isValidTraceId('../../x'), false);
+    assert.equal(isValidTraceId('a/b'), false);
+    assert.equal(isValidTraceId(''), false);
+    assert.equal(isValidTraceId('a'.repeat(65)), false);
+});
+
+test('files backend does not read outside its directory', async () => {
+    const backend = createTraceBackend({ backend: 'files', traceFilesDir: '/tmp' });
+    const result = await backend.fetchTrace('../etc/passwd', {});
+    assert.equal(result.ok, false);
+    assert.equal(result.json, null);
+});
+
+test('jaeger backend fetches over plain http with the shared agent', async (t) => {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/api/traces/abc123') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ data: [JAEGER_TRACE] }));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ data: null, errors: [{ code: 404, msg: 'trace not found' }] }));
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const fetchAgent = createFetchAgent({ concurrency: 2, ignoreSsl: false });
+    t.after(() => {
+        fetchAgent.destroy();
+        server.close();
+    });
+
+    const backend = createTraceBackend({ backend: 'jaeger', backendUrl: `http://127.0.0.1:${server.address().port}/` });
+    const traceOptions = { maxRetries: 0, rateLimiter: async () => {}, fetchAgent };
+
+    const found = await backend.fetchTrace('abc123', traceOptions);
+    assert.equal(found.ok, true);
+    assert.equal(normaliseTraceDocument(found.json).length, 2);
+
+    const missing = await backend.fetchTrace('ffff', traceOptions);
+    assert.equal(missing.notFound, true);
+});
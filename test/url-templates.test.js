@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import vm from 'vm';
+import { createUrlTemplater, BUILTIN_SEGMENT_RULES } from '../url-templates.js';
+
+/**
+ * Loads the viewer script with just enough of a DOM to define its functions.
+ */
+function loadViewer() {
+    const context = { window: {}, document: { addEventListener() {} }, console };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(new URL('../report-logic.js', import.meta.url), 'utf8'), context);
+    return context;
+}
+
+test('built-in rules template ids, uuids, hashes and opaque tokens', () => {
+    const templateUrl = createUrlTemplater();
+    assert.equal(
+        templateUrl('https://API.example.com/users/123/orders/0af76519-16cd-43dd-8448-eb211c80319c?token=abc&page=2'),
+        'https://api.example.com/users/{id}/orders/{uuid}?page&token'
+    );
+    assert.equal(templateUrl('/files/4bf92f3577b34da6a3ce929d0e0e4736'), '/files/{hash}');
+    assert.equal(templateUrl('/s/aB3dEfGhIjKlMnOpQrSt'), '/s/{hash}');
+    // Kebab-case words and short segments stay readable
+    assert.equal(templateUrl('/api/v2/order-history-summary-report'), '/api/v2/order-history-summary-report');
+    assert.equal(templateUrl('- no url'), '- no url');
+});
+
+test('query modes drop or keep the query string', () => {
+    assert.equal(createUrlTemplater({ query: 'drop' })('/users/1?a=1#top'), '/users/{id}');
+    assert.equal(createUrlTemplater({ query: 'keep' })('/users/1?b=2&a=1'), '/users/{id}?b=2&a=1');
+    assert.throws(() => createUrlTemplater({ query: 'sort' }), /Invalid urlTemplates.query/);
+});
+
+test('user rules run before the built-ins', () => {
+    const templateUrl = createUrlTemplater({ rules: [{ pattern: '/sku-[A-Z0-9]+', replacement: '/{sku}' }, { pattern: '/v\\d+/' }] });
+    assert.equal(templateUrl('https://shop.example.com/v3/items/sku-AB12/reviews/7'), 'https://shop.example.com{param}items/{sku}/reviews/{id}');
+    assert.equal(createUrlTemplater({ builtins: false })('/users/123'), '/users/123');
+    assert.throws(() => createUrlTemplater({ rules: [{ pattern: '(' }] }), /Invalid URL template rule "\("/);
+});
+
+test('the viewer fallback rules match the built-in rules', () => {
+    const viewer = loadViewer();
+    const fallback = vm.runInContext('FALLBACK_SEGMENT_RULES', viewer);
+    // Compared as JSON: the viewer's objects come from another realm
+    const describe = rules => JSON.stringify(rules.map(r => [r.test.source, r.test.flags, r.replacement]));
+    assert.equal(describe(fallback), describe(BUILTIN_SEGMENT_RULES));
+
+    const templateUrl = createUrlTemplater();
+    for (const url of [
+        'https://api.example.com/users/42/orders/0af76519-16cd-43dd-8448-eb211c80319c?page=2&token=x',
+        'http://svc:8080/blobs/4bf92f3577b34da6a3ce929d0e0e4736/aB3dEfGhIjKlMnOpQrSt',
+        '/relative/path%2042?b&a=1#frag'
+    ]) {
+        assert.equal(viewer.normaliseUrl(url), templateUrl(url), url);
+    }
+});
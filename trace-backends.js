@@ -0,0 +1,307 @@
+/**
+ * Trace backends for api-tracer.js
+ *
+ * Each backend exposes fetchTrace(traceId, traceOptions) -> { ok, status, notFound, json }.
+ * Whatever the source, normaliseTraceDocument() turns the raw JSON into the Jaeger-style span
+ * model parseApmResponse() consumes:
+ *   { spanID, references: [{ refType: 'CHILD_OF', spanID }], operationName, startTime (µs),
+ *     duration (µs), tags: [{ key, value }], process: { serviceName, tags: [{ key, value }] } }
+ *
+ * Backends:
+ * - splunk  Splunk Observability APM GraphQL (TraceFullDetailsLessValidation)
+ * - jaeger  Jaeger query HTTP API:  GET <backendUrl>/api/traces/<id>
+ * - tempo   Grafana Tempo HTTP API: GET <backendUrl>/api/traces/<id> (OTLP JSON)
+ * - files   Directory of <id>.json files holding any of the above formats (Splunk, Jaeger, OTLP)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import fetch from 'node-fetch';
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+export const BACKEND_TYPES = ['splunk', 'jaeger', 'tempo', 'files'];
+
+// Trace IDs come from HAR headers and end up in file names (trace dir, trace files): no separators or dots
+const TRACE_ID_PATTERN = /^[0-9a-zA-Z_-]{1,64}$/;
+
+const SPLUNK_APM_GQL_PATH = '/v2/apm/graphql?op=TraceFullDetailsLessValidation';
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// =================================================================
+// --- Backends ---
+// =================================================================
+
+/**
+ * Creates the backend selected by settings.backend.
+ * `label` is used in placeholder rows (e.g. "- Jaeger API Error 500 -"); `cacheable` backends
+ * have their raw responses saved to the trace dir for --use-cache / --offline replay.
+ */
+export function createTraceBackend(settings) {
+    switch (settings.backend) {
+        case 'splunk':
+            return { type: 'splunk', label: 'Splunk', cacheable: true, fetchTrace: (id, opts) => fetchSplunkTrace(id, settings, opts) };
+        case 'jaeger':
+            return { type: 'jaeger', label: 'Jaeger', cacheable: true, fetchTrace: (id, opts) => fetchHttpTrace(`/api/traces/${encodeURIComponent(id)}`, settings, opts) };
+        case 'tempo':
+            return { type: 'tempo', label: 'Tempo', cacheable: true, fetchTrace: (id, opts) => fetchHttpTrace(`/api/traces/${encodeURIComponent(id)}`, settings, opts) };
+        case 'files':
+            return { type: 'files', label: 'Trace file', cacheable: false, fetchTrace: (id) => readTraceFile(id, settings.traceFilesDir) };
+        default:
+            throw new Error(`Unknown trace backend "${settings.backend}" (expected one of ${BACKEND_TYPES.join(', ')}).`);
+    }
+}
+
+/**
+ * Returns a list of missing settings for the backend, e.g. ['splunkHost'], so main() can fail early.
+ */
+export function missingBackendSettings(settings) {
+    switch (settings.backend) {
+        case 'splunk':
+            return ['splunkHost', 'splunkApmToken', 'splunkUiHost'].filter(key => !settings[key]);
+        case 'jaeger':
+        case 'tempo':
+            return settings.backendUrl ? [] : ['backendUrl'];
+        case 'files':
+            return settings.traceFilesDir ? [] : ['traceFilesDir'];
+        default:
+            return [];
+    }
+}
+
+async function fetchSplunkTrace(traceId, settings, traceOptions) {
+    const targetedQuery = {
+        operationName: "TraceFullDetailsLessValidation",
+        variables: { spanLimit: 1000, id: traceId },
+        query: "query TraceFullDetailsLessValidation($id: ID!, $spanLimit: Float = 5000) {\n  trace: traceLessValidation(id: $id, spanLimit: $spanLimit) {\n    traceID\n    spans\n  }\n}\n"
+    };
+
+    return fetchJsonWithRetry(`https://${settings.splunkHost}${SPLUNK_APM_GQL_PATH}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'x-sf-token': settings.splunkApmToken },
+        body: JSON.stringify(targetedQuery)
+    }, traceOptions);
+}
+
+/**
+ * Jaeger and Tempo share the same GET shape; settings.backendHeaders carries auth
+ * (e.g. { Authorization: "Bearer ...", "X-Scope-OrgID": "tenant" }).
+ */
+async function fetchHttpTrace(apiPath, settings, traceOptions) {
+    const result = await fetchJsonWithRetry(`${settings.backendUrl.replace(/\/+$/, '')}${apiPath}`, {
+        method: 'GET',
+        headers: { 'Accept': 'application/json', ...(settings.backendHeaders || {}) }
+    }, traceOptions);
+    return { ...result, notFound: result.status === 404 };
+}
+
+async function readTraceFile(traceId, dir) {
+    if (!isValidTraceId(traceId)) return { ok: false, status: 400, notFound: false, json: null };
+    const candidates = [`${traceId}.json`, `${traceId}.otlp.json`, `${traceId}.jaeger.json`].map(name => path.join(dir, name));
+    const filePath = candidates.find(p => fs.existsSync(p));
+    if (!filePath) return { ok: false, status: 404, notFound: true, json: null };
+    const json = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    return { ok: true, status: 200, notFound: false, json };
+}
+
+/**
+ * True for IDs safe to use in a file name (hex, base64url-ish), e.g. not "../../etc/x".
+ */
+export function isValidTraceId(traceId) {
+    return typeof traceId === 'string' && TRACE_ID_PATTERN.test(traceId);
+}
+
+// =================================================================
+// --- HTTP with Retry ---
+// =================================================================
+
+/**
+ * node-fetch `agent` option: one keep-alive agent per protocol, shared by every query and sized to the
+ * worker pool (Jaeger/Tempo are often plain http; node-fetch rejects an https agent for those).
+ * destroy() closes both.
+ */
+export function createFetchAgent(settings) {
+    const options = { keepAlive: true, maxSockets: settings.concurrency };
+    const httpAgent = new http.Agent(options);
+    const httpsAgent = new https.Agent({ ...options, rejectUnauthorized: !settings.ignoreSsl });
+    const agent = (url) => (url.protocol === 'http:' ? httpAgent : httpsAgent);
+    agent.destroy = () => {
+        httpAgent.destroy();
+        httpsAgent.destroy();
+    };
+    return agent;
+}
+
+/**
+ * Fetches JSON, retrying 429/5xx and network errors with exponential backoff (honouring Retry-After).
+ * Returns { ok, status, json } (json is null for non-JSON bodies); throws once retries are exhausted
+ * on a network error.
+ */
+async function fetchJsonWithRetry(url, init, traceOptions) {
+    for (let attempt = 0; ; attempt++) {
+        const canRetry = attempt < traceOptions.maxRetries;
+        let response;
+
+        try {
+            await traceOptions.rateLimiter();
+            response = await fetch(url, { ...init, agent: traceOptions.fetchAgent });
+        } catch (err) {
+            // Network-level failure (reset, DNS, timeout): back off and try again
+            if (canRetry) {
+                await sleep(backoffDelay(attempt));
+                continue;
+            }
+            throw err;
+        }
+
+        if (canRetry && isRetryableStatus(response.status)) {
+            const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            await sleep(retryAfterMs !== null ? Math.min(retryAfterMs, RETRY_MAX_DELAY_MS) : backoffDelay(attempt));
+            continue;
+        }
+
+        let json = null;
+        try { json = await response.json(); } catch (e) {}
+        return { ok: response.ok, status: response.status, notFound: false, json };
+    }
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Exponential backoff with full jitter: random(0, base * 2^attempt), capped.
+ */
+function backoffDelay(attempt) {
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date. Returns milliseconds, or null if absent/invalid.
+ */
+function parseRetryAfter(headerValue) {
+    if (!headerValue) return null;
+    const seconds = Number(headerValue);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(headerValue);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// =================================================================
+// --- Normalisation ---
+// =================================================================
+
+/**
+ * Detects the format of a raw trace document and returns its spans in the Jaeger-style model,
+ * or null when the document holds no trace (not found / not ingested yet).
+ * Throws if the Splunk spans string is not valid JSON.
+ */
+export function normaliseTraceDocument(json) {
+    if (!json || typeof json !== 'object') return null;
+
+    // Splunk GraphQL: { data: { trace: { traceID, spans: "<json string>" | [...] } } }
+    if (json.data && !Array.isArray(json.data)) {
+        let spans = json.data.trace?.spans;
+        if (!spans) return null;
+        if (typeof spans === 'string') spans = JSON.parse(spans);
+        return Array.isArray(spans) ? spans : null;
+    }
+
+    // Jaeger query API: { data: [ { traceID, spans, processes } ] }
+    if (Array.isArray(json.data)) {
+        const spans = json.data.flatMap(trace => normaliseJaegerTrace(trace));
+        return spans.length > 0 ? spans : null;
+    }
+
+    // A single Jaeger trace (e.g. exported from the Jaeger UI)
+    if (Array.isArray(json.spans)) return normaliseJaegerTrace(json);
+
+    // OTLP JSON: { resourceSpans: [...] } (Tempo uses "batches" in older versions)
+    const resourceSpans = json.resourceSpans || json.batches || json.trace?.resourceSpans;
+    if (Array.isArray(resourceSpans)) {
+        const spans = normaliseOtlp(resourceSpans);
+        return spans.length > 0 ? spans : null;
+    }
+
+    return null;
+}
+
+function normaliseJaegerTrace(trace) {
+    const processes = trace.processes || {};
+    return (trace.spans || []).map(span => ({
+        ...span,
+        process: span.process || processes[span.processID] || { serviceName: 'unknown', tags: [] }
+    }));
+}
+
+function normaliseOtlp(resourceSpans) {
+    const spans = [];
+    for (const rs of resourceSpans) {
+        const resourceTags = otlpAttributesToTags(rs.resource?.attributes);
+        const serviceTag = resourceTags.find(t => t.key === 'service.name');
+        const process = {
+            serviceName: serviceTag ? serviceTag.value : 'unknown',
+            tags: resourceTags.filter(t => t.key !== 'service.name')
+        };
+
+        for (const ss of rs.scopeSpans || rs.instrumentationLibrarySpans || []) {
+            for (const span of ss.spans || []) {
+                const startNs = BigInt(span.startTimeUnixNano || 0);
+                const endNs = BigInt(span.endTimeUnixNano || 0);
+                const tags = otlpAttributesToTags(span.attributes);
+                if (span.status?.code !== undefined) tags.push({ key: 'otel.status_code', value: otlpStatusName(span.status.code) });
+
+                spans.push({
+                    traceID: otlpId(span.traceId),
+                    spanID: otlpId(span.spanId),
+                    references: span.parentSpanId ? [{ refType: 'CHILD_OF', spanID: otlpId(span.parentSpanId) }] : [],
+                    operationName: span.name || '',
+                    startTime: Number(startNs / 1000n),
+                    duration: Number((endNs - startNs) / 1000n),
+                    tags,
+                    process
+                });
+            }
+        }
+    }
+    return spans;
+}
+
+function otlpAttributesToTags(attributes) {
+    return (attributes || []).map(attr => ({ key: attr.key, value: otlpValue(attr.value) }));
+}
+
+function otlpValue(value) {
+    if (!value) return null;
+    if ('stringValue' in value) return value.stringValue;
+    if ('intValue' in value) return Number(value.intValue);
+    if ('doubleValue' in value) return value.doubleValue;
+    if ('boolValue' in value) return value.boolValue;
+    if ('arrayValue' in value) return (value.arrayValue.values || []).map(otlpValue);
+    return null;
+}
+
+function otlpStatusName(code) {
+    // Numeric in proto-JSON, string enum in some exporters
+    return { 0: 'UNSET', 1: 'OK', 2: 'ERROR' }[code] || String(code).replace('STATUS_CODE_', '');
+}
+
+/**
+ * OTLP/JSON ids are hex per the spec, but Tempo and some exporters emit base64. Returns lowercase hex.
+ */
+function otlpId(id) {
+    if (!id) return null;
+    if (/^[0-9a-f]+$/i.test(id) && (id.length === 16 || id.length === 32)) return id.toLowerCase();
+    return Buffer.from(id, 'base64').toString('hex');
+}
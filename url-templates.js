@@ -0,0 +1,99 @@
+/**
+ * URL templating for api-tracer.js
+ *
+ * Turns raw URLs into templates so the same endpoint groups together across requests:
+ *   https://api.example.com/users/123/orders/9f1c...?page=2&token=abc
+ *   -> https://api.example.com/users/{id}/orders/{uuid}?page&token
+ *
+ * User rules run first (regex over the path, global replace), then the built-in segment rules.
+ * Settings (config key "urlTemplates"):
+ *   builtins: true|false     apply the built-in segment rules below
+ *   query: names|drop|keep   keep only parameter names (default), drop the query string, or keep it as-is
+ *   rules: [{ pattern, replacement }]
+ */
+
+// =================================================================
+// --- CONFIGURATION ---
+// =================================================================
+
+export const DEFAULT_URL_TEMPLATE_SETTINGS = {
+    builtins: true,
+    query: 'names',
+    rules: []
+};
+
+// Applied per path segment, first match wins. report-logic.js keeps a copy for old reports (FALLBACK_SEGMENT_RULES)
+export const BUILTIN_SEGMENT_RULES = [
+    { name: 'uuid', test: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, replacement: '{uuid}' },
+    { name: 'numeric', test: /^\d+$/, replacement: '{id}' },
+    { name: 'hash', test: /^[0-9a-f]{16,}$/i, replacement: '{hash}' },
+    // Long opaque mixed-case tokens with digits (base64-style ids); kebab-case words don't match
+    { name: 'token', test: /^(?=.*\d)(?=.*[A-Z])(?=.*[a-z])[A-Za-z0-9_-]{20,}$/, replacement: '{hash}' }
+];
+
+const QUERY_MODES = ['names', 'drop', 'keep'];
+
+// =================================================================
+// --- Templating ---
+// =================================================================
+
+/**
+ * Returns a function url -> template for the given settings (see module doc).
+ * Throws on invalid user rule patterns so config mistakes surface at start-up.
+ */
+export function createUrlTemplater(settings = {}) {
+    const options = { ...DEFAULT_URL_TEMPLATE_SETTINGS, ...settings };
+    if (!QUERY_MODES.includes(options.query)) {
+        throw new Error(`Invalid urlTemplates.query "${options.query}" (expected one of ${QUERY_MODES.join(', ')}).`);
+    }
+    const userRules = (options.rules || []).map(rule => {
+        try {
+            return { pattern: new RegExp(rule.pattern, 'g'), replacement: rule.replacement ?? '{param}' };
+        } catch (err) {
+            throw new Error(`Invalid URL template rule "${rule.pattern}": ${err.message}`);
+        }
+    });
+
+    return function templateUrl(rawUrl) {
+        if (!rawUrl || rawUrl.startsWith('- ')) return rawUrl;
+
+        const { prefix, pathname, search } = splitUrl(rawUrl.trim());
+        let templatedPath = pathname;
+        for (const rule of userRules) templatedPath = templatedPath.replace(rule.pattern, rule.replacement);
+
+        if (options.builtins) {
+            templatedPath = templatedPath.split('/').map(segment => {
+                if (!segment || segment.startsWith('{')) return segment;
+                const rule = BUILTIN_SEGMENT_RULES.find(r => r.test.test(decodeSafe(segment)));
+                return rule ? rule.replacement : segment;
+            }).join('/');
+        }
+
+        return `${prefix}${templatedPath}${templateQuery(search, options.query)}`;
+    };
+}
+
+/**
+ * Splits into "scheme://host[:port]", path and "?query" without requiring an absolute URL.
+ */
+function splitUrl(url) {
+    const withoutHash = url.split('#')[0];
+    const queryIndex = withoutHash.indexOf('?');
+    const beforeQuery = queryIndex >= 0 ? withoutHash.slice(0, queryIndex) : withoutHash;
+    const search = queryIndex >= 0 ? withoutHash.slice(queryIndex) : '';
+
+    const originMatch = /^[a-z][a-z0-9+.-]*:\/\/[^/]*/i.exec(beforeQuery);
+    const prefix = originMatch ? originMatch[0].toLowerCase() : '';
+    return { prefix, pathname: beforeQuery.slice(prefix.length), search };
+}
+
+function templateQuery(search, mode) {
+    if (!search || search === '?' || mode === 'drop') return '';
+    if (mode === 'keep') return search;
+    const names = [...new Set(search.slice(1).split('&').filter(Boolean).map(pair => pair.split('=')[0]))].sort();
+    return names.length > 0 ? `?${names.join('&')}` : '';
+}
+
+function decodeSafe(segment) {
+    try { return decodeURIComponent(segment); } catch (e) { return segment; }
+}